@@ -6,6 +6,31 @@
 // Turndown instance for HTML to Markdown conversion
 let turndownService = null;
 
+// Link text of a footnote reference: 1, [1], *, † and the like
+const FOOTNOTE_MARK = /^\[?(?:\d{1,3}|[a-z]|[*†‡§¶])\]?$/i;
+
+// Link text of a "back to the text" link in a footnote
+const FOOTNOTE_BACKLINK = /^[\s\u21a9\u2191\u2934^\ufe0e\ufe0f]+$/;
+
+/**
+ * An extraction failure reported by the extract function
+ * code is one of the function's error codes (FETCH_FORBIDDEN, TIMEOUT, NOT_ARTICLE, ...)
+ * or OFFLINE when the function could not be reached at all
+ */
+export class ExtractionError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {string} code - Machine-readable error code
+   * @param {boolean} retryable - Whether trying again may succeed
+   */
+  constructor(message, code = 'INTERNAL', retryable = false) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
 /**
  * Initialize Turndown service
  */
@@ -41,44 +66,470 @@ function getTurndown() {
         return `![${alt}](${src})`;
       }
     });
+
+    // GFM strikethrough
+    turndownService.addRule('strikethrough', {
+      filter: ['del', 's', 'strike'],
+      replacement: (content) => (content.trim() ? `~~${content}~~` : '')
+    });
+
+    // GFM task list checkboxes
+    turndownService.addRule('taskListItems', {
+      filter: (node) => node.nodeName === 'INPUT' && node.type === 'checkbox' && node.parentNode.nodeName === 'LI',
+      replacement: (content, node) => (node.checked ? '[x] ' : '[ ] ')
+    });
+
+    // Footnote references marked by extractFootnotes
+    turndownService.addRule('footnoteReferences', {
+      filter: (node) => node.nodeName === 'SUP' && node.hasAttribute('data-footnote-label'),
+      replacement: (content, node) => `[^${node.getAttribute('data-footnote-label')}]`
+    });
+
+    // GFM tables, using the first row as the header when the table has none
+    turndownService.addRule('tables', {
+      filter: (node) => node.nodeName === 'TABLE' && !node.querySelector('table'),
+      replacement: (content, node) => `\n\n${tableToMarkdown(node)}\n\n`
+    });
   }
   return turndownService;
 }
 
+/**
+ * Convert an HTML table to a GFM pipe table
+ * Cells keep their inline formatting; line breaks inside a cell become spaces
+ * @param {HTMLTableElement} table
+ * @returns {string} Markdown table, or '' for an empty table
+ */
+function tableToMarkdown(table) {
+  const rows = [...table.rows].map((row) => [...row.cells].map((cell) => (
+    getTurndown().turndown(cell.innerHTML)
+      .replace(/\n+/g, ' ')
+      .replace(/\|/g, '\\|')
+      .trim()
+  )));
+  const width = Math.max(0, ...rows.map((row) => row.length));
+  if (width === 0) return '';
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+
+  const [header, ...body] = rows;
+  return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
+}
+
+/**
+ * Convert article HTML to Markdown, with footnotes as [^n] references and definitions
+ * @param {string} html - Extracted article HTML
+ * @returns {string} Markdown
+ */
+function htmlToMarkdown(html) {
+  const root = new DOMParser().parseFromString(html, 'text/html').body;
+  const notes = extractFootnotes(root);
+  const markdown = getTurndown().turndown(root);
+  if (notes.length === 0) return markdown;
+
+  const definitions = notes.map(({ label, element }) => {
+    // Later paragraphs of a note are indented to stay inside it
+    const text = getTurndown().turndown(element.innerHTML).replace(/\n(?=.)/g, '\n    ');
+    return `[^${label}]: ${text}`;
+  });
+
+  return `${markdown}\n\n${definitions.join('\n\n')}`;
+}
+
+/**
+ * Find footnotes in article HTML and take them out of the flow
+ * A reference is a short in-page link (1, [2], *) to a note later in the
+ * article. References are replaced by marker elements for Turndown, and the
+ * notes are removed along with the list or section that held them.
+ * @param {HTMLElement} root - Article content, changed in place
+ * @returns {Array<Object>} { label, element } per note in order of first reference;
+ *   element is a detached copy of the note without its back links
+ */
+function extractFootnotes(root) {
+  const doc = root.ownerDocument;
+  const notes = new Map();
+  const references = [];
+
+  root.querySelectorAll('a[href^="#"]').forEach((link) => {
+    if (!isFootnoteReference(link)) return;
+
+    const target = doc.getElementById(linkedId(link.getAttribute('href')));
+    if (!target || !root.contains(target) || target.contains(link)) return;
+    if (!(link.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING)) return;
+
+    const container = footnoteContainer(target, root);
+    if (!container || container.contains(link)) return;
+
+    if (!notes.has(container)) {
+      notes.set(container, { label: String(notes.size + 1), target });
+    }
+    references.push({ link, note: notes.get(container) });
+  });
+
+  if (notes.size === 0) return [];
+
+  const referenceIds = new Set(references.map(({ link }) => link.id).filter(Boolean));
+
+  // Copy the notes before touching the document, since a note may hold references too
+  const result = [...notes].map(([container, { label, target }]) => {
+    const element = container.cloneNode(true);
+    element.querySelectorAll('a').forEach((anchor) => {
+      const href = anchor.getAttribute('href') || '';
+      const isBacklink = referenceIds.has(linkedId(href)) ||
+        anchor.getAttribute('role') === 'doc-backlink' ||
+        anchor.hasAttribute('data-footnote-backref') ||
+        (href.startsWith('#') && FOOTNOTE_BACKLINK.test(anchor.textContent));
+      const isNumber = target !== container && anchor.id === target.id;
+
+      if (isBacklink || isNumber) anchor.remove();
+    });
+    return { label, element };
+  });
+
+  references.forEach(({ link, note }) => {
+    const marker = doc.createElement('sup');
+    marker.setAttribute('data-footnote-label', note.label);
+    marker.textContent = note.label;
+
+    // Replace the <sup> around the link too, so the number is not raised twice
+    const parent = link.parentElement;
+    const wrapper = parent?.nodeName === 'SUP' && parent.textContent.trim() === link.textContent.trim() ? parent : link;
+    wrapper.replaceWith(marker);
+  });
+
+  notes.forEach((note, container) => removeFootnoteContainer(container, root));
+
+  return result;
+}
+
+/**
+ * Whether a link looks like a footnote reference
+ * @param {HTMLAnchorElement} link
+ * @returns {boolean}
+ */
+function isFootnoteReference(link) {
+  if (link.getAttribute('role') === 'doc-noteref' || link.hasAttribute('data-footnote-ref')) return true;
+  if (!FOOTNOTE_MARK.test(link.textContent.trim())) return false;
+
+  // Bare numbered links need a raised number or a footnote-like ID to count
+  const raised = link.closest('sup') || link.querySelector('sup');
+  const named = /fn|foot|note|cite|ref/i.test(`${link.getAttribute('href')} ${link.id}`);
+  return Boolean(raised || named);
+}
+
+/**
+ * Find the element holding a footnote's text
+ * @param {HTMLElement} target - Element the reference links to
+ * @param {HTMLElement} root - Article content
+ * @returns {HTMLElement|null}
+ */
+function footnoteContainer(target, root) {
+  // A lone number anchor (<a id="fn1">1</a> Text) stands for its parent
+  if (!FOOTNOTE_MARK.test(target.textContent.trim().replace(/\.$/, ''))) return target;
+
+  const parent = target.parentElement;
+  if (!parent || parent === root) return null;
+  return parent;
+}
+
+/**
+ * Remove a footnote, then any list, section or heading left empty by it
+ * @param {HTMLElement} container - Element holding the note
+ * @param {HTMLElement} root - Article content
+ */
+function removeFootnoteContainer(container, root) {
+  let parent = container.parentElement;
+  let previous = container.previousElementSibling;
+  container.remove();
+
+  while (parent && parent !== root && isFootnoteLeftover(parent)) {
+    previous = parent.previousElementSibling;
+    const next = parent.parentElement;
+    parent.remove();
+    parent = next;
+  }
+
+  // A "Notes" heading or rule that introduced the removed list
+  while (previous && !previous.nextElementSibling &&
+    (previous.nodeName === 'HR' || (isHeading(previous) && isFootnoteLeftover(previous)))) {
+    const before = previous.previousElementSibling;
+    previous.remove();
+    previous = before;
+  }
+}
+
+/**
+ * Whether an element is a heading, or a wrapper around nothing but one
+ * (Wikipedia puts each heading in a div with its edit link)
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isHeading(element) {
+  if (/^H[1-6]$/.test(element.nodeName)) return true;
+  return element.children.length === 1 && /^H[1-6]$/.test(element.firstElementChild.nodeName);
+}
+
+/**
+ * Whether an element holds nothing but a footnotes title
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isFootnoteLeftover(element) {
+  const text = element.textContent.replace(/\s+/g, ' ').trim();
+  return !element.querySelector('img') && (!text || /^(?:foot)?notes:?$|^references:?$/i.test(text));
+}
+
+/**
+ * Read the element ID an in-page link points to
+ * @param {string} href - Link starting with #
+ * @returns {string}
+ */
+function linkedId(href) {
+  try {
+    return decodeURIComponent(href.slice(1));
+  } catch {
+    return href.slice(1);
+  }
+}
+
 /**
  * Extract article content from a URL
  * @param {string} url - The URL to extract content from
+ * @param {Object} options - Optional { rules } site rules keyed by hostname
+ * @returns {Promise<Object>} Extracted article data
+ */
+export async function extractArticle(url, options = {}) {
+  return requestExtraction({ url, rules: options.rules });
+}
+
+/**
+ * Extract article content from page markup supplied by the user
+ * Used for pasted page source and pages behind logins
+ * @param {string} html - Page HTML
+ * @param {string} url - URL the page came from (used for relative links)
+ * @param {Object} options - Optional { rules } site rules keyed by hostname
+ * @returns {Promise<Object>} Extracted article data
+ */
+export async function extractArticleFromHtml(html, url, options = {}) {
+  return requestExtraction({ html, url, rules: options.rules });
+}
+
+/**
+ * Extract article content from an uploaded .html file
+ * The raw bytes are sent so the extract function decodes them with the file's
+ * own charset, the same way as fetched pages
+ * @param {File} file - Saved page
+ * @param {string} url - URL the page came from (used for relative links)
+ * @param {Object} options - Optional { rules } site rules keyed by hostname
+ * @returns {Promise<Object>} Extracted article data
+ */
+export async function extractArticleFromFile(file, url, options = {}) {
+  const htmlBase64 = await readFileBase64(file);
+  return requestExtraction({ htmlBase64, url, rules: options.rules });
+}
+
+/**
+ * Extract several URLs in one request
+ * Each URL gets its own result so one failure doesn't sink the others
+ * @param {Array<string>} urls - URLs to extract
+ * @param {Object} options - Optional { rules } site rules keyed by hostname
+ * @returns {Promise<Array>} Results { url, ok, article } or { url, ok, error, code, retryable },
+ *   in input order
+ */
+export async function extractArticles(urls, options = {}) {
+  const data = await postExtract({ urls, rules: options.rules });
+
+  return data.results.map((result) => (
+    result.ok
+      ? { url: result.url, ok: true, article: toArticle(result.article, result.url) }
+      : {
+        url: result.url,
+        ok: false,
+        error: result.error,
+        code: result.code || 'INTERNAL',
+        retryable: Boolean(result.retryable)
+      }
+  ));
+}
+
+/**
+ * Call the extract function and convert the result to markdown
+ * @param {Object} payload - Request body { url, html?, htmlBase64?, rules? }
  * @returns {Promise<Object>} Extracted article data
  */
-export async function extractArticle(url) {
-  const response = await fetch('/.netlify/functions/extract', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({ url })
+async function requestExtraction(payload) {
+  const article = await postExtract(payload);
+  return toArticle(article, payload.url);
+}
+
+/**
+ * Read a file as base64
+ * @param {File} file
+ * @returns {Promise<string>} File contents, base64-encoded
+ */
+function readFileBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    // The result is a data: URL; the base64 payload follows the comma
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
   });
+}
+
+/**
+ * POST to the extract function
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ExtractionError} If the function fails or cannot be reached
+ */
+async function postExtract(payload) {
+  let response;
+  try {
+    response = await fetch('/.netlify/functions/extract', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch {
+    throw new ExtractionError('Could not reach the extraction service', 'OFFLINE', true);
+  }
 
   if (!response.ok) {
-    const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-    throw new Error(error.error || `Failed to extract: ${response.status}`);
+    const error = await response.json().catch(() => ({}));
+    throw new ExtractionError(
+      error.error || `Failed to extract: ${response.status}`,
+      error.code || (response.status >= 500 ? 'INTERNAL' : 'UPSTREAM_4XX'),
+      error.retryable ?? response.status >= 500
+    );
   }
 
-  const article = await response.json();
+  return response.json();
+}
+
+/**
+ * Download an image through the same-origin image proxy
+ * @param {string} url - Remote image URL
+ * @returns {Promise<Blob>} Image data
+ * @throws {ExtractionError} If the proxy fails or cannot be reached
+ */
+export async function fetchImage(url) {
+  let response;
+  try {
+    response = await fetch(`/.netlify/functions/image?url=${encodeURIComponent(url)}`);
+  } catch {
+    throw new ExtractionError('Could not reach the image proxy', 'OFFLINE', true);
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new ExtractionError(
+      error.error || `Failed to fetch image: ${response.status}`,
+      error.code || 'INTERNAL',
+      Boolean(error.retryable)
+    );
+  }
+
+  return response.blob();
+}
+
+/**
+ * Build a bookmark-only article for a page that could not be extracted
+ * The markdown just links to the original page
+ * @param {string} url - Page URL
+ * @returns {Object} Article data
+ */
+export function createBookmark(url) {
+  const siteName = extractDomain(url);
+  const href = url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+
+  return {
+    title: siteName || url,
+    author: null,
+    authors: [],
+    siteName,
+    excerpt: url,
+    publishedTime: null,
+    modifiedTime: null,
+    leadImage: null,
+    language: null,
+    canonicalUrl: null,
+    keywords: [],
+    url,
+    pages: 1,
+    sourceType: 'bookmark',
+    markdown: `This page was saved as a bookmark only.\n\n[Open the original page](${href})`
+  };
+}
 
+/**
+ * Convert an extract function result into article data with markdown content
+ * @param {Object} article - Function response for one article
+ * @param {string} url - Requested URL
+ * @returns {Object} Extracted article data
+ */
+function toArticle(article, url) {
   // Convert HTML content to Markdown
-  const markdown = getTurndown().turndown(article.content || '');
+  const markdown = htmlToMarkdown(article.content || '');
 
   return {
     title: article.title || 'Untitled',
     author: article.author || null,
+    authors: article.authors || (article.author ? [article.author] : []),
     siteName: article.siteName || extractDomain(url),
     excerpt: article.excerpt || '',
+    publishedTime: article.publishedTime || null,
+    modifiedTime: article.modifiedTime || null,
+    leadImage: article.leadImage || null,
+    language: article.language || null,
+    canonicalUrl: article.canonicalUrl || null,
+    keywords: article.keywords || [],
     url: url,
+    pages: article.pages || 1,
+    sourceType: article.sourceType || 'html',
     markdown
   };
 }
 
+/**
+ * Parse and validate site rules entered by the user
+ * @param {string} text - JSON text keyed by hostname
+ * @returns {Object} Parsed rules
+ * @throws {Error} If the text is not a valid rules object
+ */
+export function parseExtractionRules(text) {
+  if (!text.trim()) return {};
+
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch {
+    throw new Error('Rules must be valid JSON');
+  }
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Rules must be an object keyed by hostname');
+  }
+
+  for (const [host, rule] of Object.entries(rules)) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`Rule for "${host}" must be an object`);
+    }
+    if (rule.content !== undefined && typeof rule.content !== 'string') {
+      throw new Error(`"content" for "${host}" must be a selector string`);
+    }
+    if (rule.remove !== undefined && !Array.isArray(rule.remove)) {
+      throw new Error(`"remove" for "${host}" must be an array of selectors`);
+    }
+    if (rule.metadata !== undefined && (typeof rule.metadata !== 'object' || Array.isArray(rule.metadata))) {
+      throw new Error(`"metadata" for "${host}" must be an object`);
+    }
+  }
+
+  return rules;
+}
+
 /**
  * Extract domain name from URL
  * @param {string} url - URL to extract domain from
@@ -105,6 +556,18 @@ export function extractUrlFromText(text) {
   return urlMatch ? urlMatch[0] : null;
 }
 
+/**
+ * Extract every URL from a pasted list
+ * Accepts one URL per line, or URLs mixed with other text
+ * @param {string} text - Pasted text
+ * @returns {Array<string>} Unique valid URLs, in order
+ */
+export function extractUrlsFromText(text) {
+  if (!text) return [];
+  const matches = text.match(/https?:\/\/[^\s<>"{}|\\^`[\]]+/gi) || [];
+  return [...new Set(matches)].filter(isValidUrl);
+}
+
 /**
  * Validate URL format
  * @param {string} url - URL to validate
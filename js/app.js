@@ -7,7 +7,59 @@ import * as storage from './storage.js';
 import * as api from './api.js';
 import * as ui from './ui.js';
 import { initElements } from './ui.js';
-import { renderMarkdown } from './markdown.js';
+import { renderMarkdown, articleId } from './markdown.js';
+import { archiveImages, resolveImages } from './images.js';
+import { HIGHLIGHT_COLORS, describeRange, findQuote, renderHighlights } from './highlights.js';
+import { tokenize } from './search.js';
+import { getReadingPosition, restoreReadingPosition, waitForImagesAbove } from './position.js';
+import { highlightCodeBlocks, codeBlockText } from './syntax.js';
+import { findCurrentHeading } from './toc.js';
+import { initPages, isPaged, getCurrentPage, getPageCount, showPage, showNode } from './pages.js';
+import {
+  READING_SPEEDS,
+  startAutoScroll,
+  stopAutoScroll,
+  toggleAutoScrollPause,
+  setAutoScrollSpeed,
+  isAutoScrolling
+} from './autoscroll.js';
+import {
+  isSpeechSupported,
+  initSpeech,
+  getVoices,
+  collectSentences,
+  sentenceRange,
+  firstVisibleSentence,
+  startSpeech,
+  pauseSpeech,
+  resumeSpeech,
+  skipSentence,
+  setSpeechOptions,
+  stopSpeech,
+  isListening,
+  isSpeaking
+} from './speech.js';
+import {
+  buildFrontmatter,
+  fileSlug,
+  downloadFile,
+  articleClipsToMarkdown,
+  notebookToMarkdown,
+  notebookToJson,
+  notebookToCsv
+} from './export.js';
+import {
+  RSVP_SPEEDS,
+  initRsvp,
+  rsvpWords,
+  sentenceStart,
+  loadRsvp,
+  toggleRsvp,
+  skipRsvpSentence,
+  setRsvpOptions,
+  stopRsvp,
+  rsvpMinutesLeft
+} from './rsvp.js';
 import { initGestures, destroyGestures } from './gestures.js';
 import './components/article-card.js';
 
@@ -37,6 +89,11 @@ async function init() {
   // Load library
   await loadLibrary();
 
+  // Index articles saved before search existed (runs in the background)
+  storage.rebuildSearchIndex()
+    .then((indexed) => indexed > 0 && ui.state.searchQuery && loadLibrary())
+    .catch((error) => console.error('Failed to build search index:', error));
+
   // Attach event listeners
   attachEventListeners();
 
@@ -46,125 +103,1203 @@ async function init() {
   // Setup scroll progress tracking
   setupScrollProgress();
 
-  // Setup gestures for reader view
-  setupGestures();
+  // Setup the paginated layout
+  setupPages();
+
+  // Setup gestures for reader view
+  setupGestures();
+}
+
+/**
+ * Register the service worker
+ */
+async function registerServiceWorker() {
+  if ('serviceWorker' in navigator) {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      console.log('Service worker registered:', registration.scope);
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  }
+}
+
+/**
+ * Handle Web Share Target API
+ * Check URL params for shared content
+ */
+function handleShareTarget() {
+  const params = new URLSearchParams(window.location.search);
+  const sharedUrl = params.get('url');
+  const sharedTitle = params.get('title');
+  const sharedText = params.get('text');
+
+  // Check if we have shared content
+  if (sharedUrl || sharedText) {
+    // Extract URL from text if not directly provided
+    const urlToSave = sharedUrl || api.extractUrlFromText(sharedText);
+
+    if (urlToSave && api.isValidUrl(urlToSave)) {
+      // Open modal with the shared URL
+      ui.openAddModal({
+        url: urlToSave,
+        title: sharedTitle || ''
+      });
+    }
+
+    // Clean URL without reloading
+    window.history.replaceState({}, document.title, '/');
+  }
+}
+
+// ========================================
+// Library Operations
+// ========================================
+
+/**
+ * Load and render the library
+ * Shows the selected tab (inbox, archive or favorites). While a search is active,
+ * only matching articles are shown, best match first. The tag filter applies on top.
+ */
+async function loadLibrary() {
+  try {
+    ui.state.tags = await storage.getAllTags();
+    if (!ui.state.tags.some((tag) => tag.id === ui.state.activeTagId && tag.count > 0)) {
+      ui.state.activeTagId = null;
+    }
+
+    let articles = ui.state.searchQuery
+      ? await storage.searchArticles(ui.state.searchQuery)
+      : await storage.getAllArticles();
+
+    // Library tab: inbox, archive, or favorites from both
+    articles = articles.filter((article) => (
+      ui.state.libraryTab === 'favorites'
+        ? article.isFavorite
+        : (article.status || 'inbox') === ui.state.libraryTab
+    ));
+
+    if (ui.state.activeTagId !== null) {
+      articles = articles.filter((article) => article.tagIds?.includes(ui.state.activeTagId));
+    }
+
+    ui.renderTagBar();
+    ui.renderLibrary(articles);
+  } catch (error) {
+    console.error('Failed to load library:', error);
+  }
+}
+
+/**
+ * Load every clip and group it by article for the notebook
+ * Articles are ordered by their newest clip; clips within one article by position
+ */
+async function loadNotebook() {
+  try {
+    const [clips, articles] = await Promise.all([storage.getAllClips(), storage.getAllArticles()]);
+    const articlesById = new Map(articles.map((article) => [article.id, article]));
+    const groups = new Map();
+
+    clips.forEach((clip) => {
+      const article = articlesById.get(clip.articleId);
+      if (!article) return;
+      if (!groups.has(article.id)) groups.set(article.id, { article, clips: [] });
+      groups.get(article.id).clips.push(clip);
+    });
+
+    groups.forEach((group) => group.clips.sort((a, b) => a.position - b.position));
+    ui.state.notebookGroups = [...groups.values()];
+    ui.renderNotebook(visibleNotebookGroups());
+  } catch (error) {
+    console.error('Failed to load notebook:', error);
+  }
+}
+
+/**
+ * Notebook groups matching the notebook search
+ * Every query word has to match the start of a word in the clip or its article title
+ * @returns {Array<Object>} { article, clips } pairs with only matching clips
+ */
+function visibleNotebookGroups() {
+  const queryTerms = tokenize(ui.state.notebookQuery);
+  if (queryTerms.length === 0) return ui.state.notebookGroups;
+
+  const matches = (text) => {
+    const words = tokenize(text);
+    return queryTerms.every((term) => words.some((word) => word.startsWith(term)));
+  };
+
+  return ui.state.notebookGroups
+    .map(({ article, clips }) => ({
+      article,
+      clips: clips.filter((clip) => matches(`${article.title} ${clip.exact}`))
+    }))
+    .filter((group) => group.clips.length > 0);
+}
+
+/**
+ * Page source entered in the add form
+ * @returns {string|File} Uploaded .html file, else pasted source ('' if none)
+ */
+function pageSource() {
+  return ui.elements.htmlFileInput.files[0] || ui.elements.htmlInput.value.trim();
+}
+
+/**
+ * Add a new article
+ * @param {string} url - URL to extract and save
+ * @param {string|File} source - Optional page source or saved .html file to extract instead of fetching the URL
+ */
+async function addArticle(url, source = '') {
+  ui.setAddLoading(true, 10);
+  ui.updateAddProgress(10, source ? 'Reading page source...' : 'Fetching article...');
+
+  try {
+    // Extract article content
+    ui.updateAddProgress(30, 'Extracting content...');
+    const options = { rules: ui.state.extractionRules };
+    let article;
+    if (source instanceof File) {
+      article = await api.extractArticleFromFile(source, url, options);
+    } else if (source) {
+      article = await api.extractArticleFromHtml(source, url, options);
+    } else {
+      article = await api.extractArticle(url, options);
+    }
+
+    // Save to storage, downloading images for offline reading
+    ui.updateAddProgress(70, 'Saving article and images...');
+    await saveArticle(article, ui.parseTags(ui.elements.tagsInput.value));
+
+    // Complete
+    ui.updateAddProgress(100, 'Done!');
+
+    // Refresh library
+    await loadLibrary();
+
+    // Close modal after brief delay to show completion
+    setTimeout(() => {
+      ui.closeAddModal();
+    }, 300);
+  } catch (error) {
+    console.error('Failed to add article:', error);
+    ui.showAddError(error);
+    ui.setAddLoading(false);
+  }
+}
+
+/**
+ * Save a page that could not be extracted as a bookmark only
+ * @param {string} url - Page URL
+ */
+async function addBookmark(url) {
+  try {
+    await saveArticle(api.createBookmark(url), ui.parseTags(ui.elements.tagsInput.value));
+    await loadLibrary();
+    ui.closeAddModal();
+  } catch (error) {
+    console.error('Failed to save bookmark:', error);
+    ui.showAddError(error.message || 'Failed to save bookmark');
+  }
+}
+
+/**
+ * Save an extracted article to storage and archive its images for offline reading
+ * @param {Object} article - Article data from the API module
+ * @param {Array<string>} tags - Optional tag names
+ * @returns {Promise<number>} The new article ID
+ */
+async function saveArticle(article, tags = []) {
+  const id = await storage.addArticle(
+    {
+      title: article.title,
+      url: article.url,
+      author: article.author,
+      authors: article.authors,
+      siteName: article.siteName,
+      excerpt: article.excerpt,
+      publishedTime: article.publishedTime,
+      modifiedTime: article.modifiedTime,
+      leadImage: article.leadImage,
+      language: article.language,
+      canonicalUrl: article.canonicalUrl,
+      keywords: article.keywords,
+      sourceType: article.sourceType,
+      tags
+    },
+    article.markdown
+  );
+
+  // Missing images never fail the save; they just stay remote
+  try {
+    await archiveImages(id, article.markdown);
+  } catch (error) {
+    console.warn('Failed to archive images:', error);
+  }
+
+  return id;
+}
+
+// ========================================
+// Bulk Import Queue
+// ========================================
+
+// URLs sent to the extract function per batch request
+const IMPORT_BATCH_SIZE = 3;
+
+let importQueueRunning = false;
+let nextImportId = 1;
+
+/**
+ * Add URLs to the import queue and start working through it
+ * URLs already waiting or saved in this session are skipped
+ * @param {Array<string>} urls - URLs to import
+ * @param {Array<string>} tags - Optional tag names for every imported article
+ */
+function enqueueImports(urls, tags = []) {
+  urls.forEach((url) => {
+    const existing = ui.state.importQueue.find((item) => item.url === url);
+    if (existing) {
+      if (existing.status === 'failed') retryImport(existing.id);
+      return;
+    }
+    ui.state.importQueue.push({
+      id: nextImportId++,
+      url,
+      tags,
+      title: null,
+      status: 'queued',
+      error: null,
+      code: null
+    });
+  });
+
+  ui.renderImportQueue();
+  runImportQueue();
+}
+
+/**
+ * Work through queued imports a batch at a time
+ * Each article is saved as soon as its batch returns, so a failure
+ * never loses articles that were already extracted
+ */
+async function runImportQueue() {
+  if (importQueueRunning) return;
+  importQueueRunning = true;
+
+  try {
+    let batch = nextImportBatch();
+
+    while (batch.length > 0) {
+      batch.forEach((item) => {
+        item.status = 'extracting';
+      });
+      ui.renderImportQueue();
+
+      let results;
+      try {
+        results = await api.extractArticles(
+          batch.map((item) => item.url),
+          { rules: ui.state.extractionRules }
+        );
+      } catch (error) {
+        // The whole request failed (offline, function error): fail the batch
+        results = batch.map((item) => ({ url: item.url, ok: false, error: error.message, code: error.code }));
+      }
+
+      for (const [index, item] of batch.entries()) {
+        const result = results[index];
+
+        if (!result || !result.ok) {
+          item.status = 'failed';
+          item.error = result?.error || 'Failed to extract article';
+          item.code = result?.code || 'INTERNAL';
+          continue;
+        }
+
+        item.status = 'saving';
+        item.title = result.article.title;
+        ui.renderImportQueue();
+
+        try {
+          await saveArticle(result.article, item.tags);
+          item.status = 'saved';
+        } catch (error) {
+          console.error('Failed to save imported article:', error);
+          item.status = 'failed';
+          item.error = error.message || 'Failed to save article';
+        }
+      }
+
+      ui.renderImportQueue();
+      await loadLibrary();
+
+      batch = nextImportBatch();
+    }
+  } finally {
+    importQueueRunning = false;
+  }
+}
+
+/**
+ * Take the next queued items from the import queue
+ * @returns {Array} Up to IMPORT_BATCH_SIZE queued items
+ */
+function nextImportBatch() {
+  return ui.state.importQueue
+    .filter((item) => item.status === 'queued')
+    .slice(0, IMPORT_BATCH_SIZE);
+}
+
+/**
+ * Queue a failed import again
+ * @param {number} id - Import queue item ID
+ */
+function retryImport(id) {
+  const item = ui.state.importQueue.find((entry) => entry.id === id);
+  if (!item || item.status !== 'failed') return;
+
+  item.status = 'queued';
+  item.error = null;
+  item.code = null;
+  ui.renderImportQueue();
+  runImportQueue();
+}
+
+/**
+ * Add or remove an article from favorites
+ * @param {number} id - Article ID
+ * @param {boolean} favorite - Whether the article is a favorite
+ */
+async function setFavorite(id, favorite) {
+  try {
+    await storage.setFavorite(id, favorite);
+
+    if (ui.state.currentArticle?.id === id) {
+      ui.state.currentArticle.isFavorite = favorite;
+      ui.updateReaderActions();
+    }
+
+    await loadLibrary();
+  } catch (error) {
+    console.error('Failed to update favorite:', error);
+  }
+}
+
+/**
+ * Move an article between the inbox and the archive
+ * @param {number} id - Article ID
+ * @param {string} status - 'inbox' or 'archived'
+ */
+async function setArticleStatus(id, status) {
+  try {
+    await storage.setArticleStatus(id, status);
+
+    if (ui.state.currentArticle?.id === id) {
+      ui.state.currentArticle.status = status;
+      ui.updateReaderActions();
+    }
+
+    await loadLibrary();
+  } catch (error) {
+    console.error('Failed to update article status:', error);
+  }
+}
+
+/**
+ * Rename a tag, merging it into another tag if the new name is taken
+ * @param {number} id - Tag ID
+ */
+async function renameTag(id) {
+  const tag = ui.state.tags.find((entry) => entry.id === id);
+  if (!tag) return;
+
+  const name = prompt(`Rename "${tag.name}" to:`, tag.name);
+  if (name === null || !name.trim() || name.trim() === tag.name) return;
+
+  const target = ui.state.tags.find((entry) => entry.id !== id && entry.name.toLowerCase() === name.trim().toLowerCase());
+  if (target && !confirm(`Merge "${tag.name}" into "${target.name}"?`)) return;
+
+  try {
+    await storage.renameTag(id, name);
+    await loadLibrary();
+    ui.renderTagList();
+  } catch (error) {
+    console.error('Failed to rename tag:', error);
+  }
+}
+
+/**
+ * Delete a tag, leaving its articles in the library
+ * @param {number} id - Tag ID
+ */
+async function deleteTag(id) {
+  const tag = ui.state.tags.find((entry) => entry.id === id);
+  if (!tag || !confirm(`Delete the tag "${tag.name}"? Its articles stay in the library.`)) return;
+
+  try {
+    await storage.deleteTag(id);
+    await loadLibrary();
+    ui.renderTagList();
+  } catch (error) {
+    console.error('Failed to delete tag:', error);
+  }
+}
+
+/**
+ * Set up the notebook view: opening, searching, jumping to clips and exports
+ */
+function setupNotebookListeners() {
+  let notebookSearchTimer = null;
+
+  ui.elements.notebookBtn.addEventListener('click', () => {
+    ui.showNotebook();
+    loadNotebook();
+  });
+
+  ui.elements.notebookBackBtn.addEventListener('click', () => {
+    ui.showLibrary();
+  });
+
+  ui.elements.notebookSearch.addEventListener('input', (e) => {
+    clearTimeout(notebookSearchTimer);
+    notebookSearchTimer = setTimeout(() => {
+      ui.state.notebookQuery = e.target.value.trim();
+      ui.renderNotebook(visibleNotebookGroups());
+    }, 150);
+  });
+
+  ui.elements.notebookList.addEventListener('click', async (e) => {
+    const articleBtn = e.target.closest('[data-open-article-id]');
+    const clipBtn = e.target.closest('[data-goto-clip-id]');
+    const exportBtn = e.target.closest('[data-export-clips-article-id]');
+    const deleteBtn = e.target.closest('[data-delete-clip-id]');
+
+    if (articleBtn) {
+      await openArticle(Number(articleBtn.dataset.openArticleId), { returnTo: 'notebook' });
+    } else if (clipBtn) {
+      await openClip(Number(clipBtn.dataset.gotoClipId));
+    } else if (exportBtn) {
+      const articleId = Number(exportBtn.dataset.exportClipsArticleId);
+      const group = visibleNotebookGroups().find(({ article }) => article.id === articleId);
+      if (group) {
+        downloadFile(articleClipsToMarkdown(group), `${fileSlug(group.article.title)}-clips.md`, 'text/markdown');
+      }
+    } else if (deleteBtn) {
+      try {
+        await storage.deleteClip(Number(deleteBtn.dataset.deleteClipId));
+        await loadNotebook();
+      } catch (error) {
+        console.error('Failed to delete clip:', error);
+      }
+    }
+  });
+
+  ui.elements.notebookExportButtons.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      exportNotebook(btn.dataset.notebookExport);
+    });
+  });
+}
+
+/**
+ * Open a clip's article and scroll to the clipped passage
+ * @param {number} clipId - Clip ID
+ */
+async function openClip(clipId) {
+  const clip = ui.state.notebookGroups
+    .flatMap((group) => group.clips)
+    .find((candidate) => candidate.id === clipId);
+  if (!clip) return;
+
+  await openArticle(clip.articleId, { returnTo: 'notebook' });
+
+  const range = findQuote(ui.elements.readerContent, clip);
+  const block = range?.startContainer.parentElement;
+  if (block) revealInReader(block, { block: 'center' });
+}
+
+/**
+ * Download the clips shown in the notebook
+ * @param {string} format - 'markdown', 'json' or 'csv'
+ */
+function exportNotebook(format) {
+  const groups = visibleNotebookGroups();
+  if (groups.length === 0) return;
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'json') {
+    downloadFile(notebookToJson(groups), `zenreader-notebook-${date}.json`, 'application/json');
+  } else if (format === 'csv') {
+    downloadFile(notebookToCsv(groups), `zenreader-notebook-${date}.csv`, 'text/csv');
+  } else {
+    downloadFile(notebookToMarkdown(groups), `zenreader-notebook-${date}.md`, 'text/markdown');
+  }
+}
+
+/**
+ * Set up the table of contents sheet and the buttons that open it
+ */
+function setupTocListeners() {
+  ui.elements.tocFooterBtn.addEventListener('click', () => {
+    ui.openTocSheet();
+  });
+
+  ui.elements.sheetTocBtn.addEventListener('click', () => {
+    ui.openTocSheet();
+  });
+
+  // Jump to a section
+  ui.elements.tocList.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-toc-id]');
+    if (!link) return;
+
+    const heading = ui.state.headings.find((entry) => entry.id === link.dataset.tocId);
+    if (!heading) return;
+
+    ui.closeTocSheet();
+    revealInReader(heading.element, { block: 'start' });
+    ui.updateCurrentHeading(heading.id);
+  });
+}
+
+/**
+ * Set up footnote popovers: references show their note in place
+ */
+function setupFootnoteListeners() {
+  const handleClick = (e) => {
+    const ref = e.target.closest('.footnote-ref a');
+    const backref = e.target.closest('.footnote-backref');
+
+    if (ref) {
+      e.preventDefault();
+      const note = findInReader(ref.getAttribute('href'));
+      if (!note) return;
+
+      // The same reference again closes its note
+      if (ui.state.footnoteRef === ref) {
+        ui.hideFootnote();
+      } else {
+        ui.showFootnote(ref, note);
+      }
+    } else if (backref) {
+      // Scroll back without touching the address bar
+      e.preventDefault();
+      const target = findInReader(backref.getAttribute('href'));
+      if (target) revealInReader(target, { block: 'center' });
+    }
+  };
+
+  ui.elements.readerContent.addEventListener('click', handleClick);
+  ui.elements.footnotePopover.addEventListener('click', handleClick);
+
+  // Close when tapping anywhere else
+  document.addEventListener('click', (e) => {
+    if (!ui.state.footnoteRef) return;
+    if (ui.elements.footnotePopover.contains(e.target) || e.target.closest('.footnote-ref')) return;
+    ui.hideFootnote();
+  });
+
+  window.addEventListener('resize', () => {
+    ui.hideFootnote();
+  });
+}
+
+/**
+ * Bring an element of the open article into view
+ * @param {HTMLElement} element - Element in the reader
+ * @param {Object} options - scrollIntoView options, used when not paginated
+ */
+function revealInReader(element, options) {
+  if (isPaged()) {
+    showNode(element);
+  } else {
+    element.scrollIntoView(options);
+  }
+}
+
+/**
+ * Find an element of the open article by the target of an in-page link
+ * @param {string} href - Link such as #md-fn:1; the article ID prefix may be left out
+ * @returns {HTMLElement|null}
+ */
+function findInReader(href) {
+  const element = document.getElementById(articleId((href || '').slice(1)));
+  return element && ui.elements.readerContent.contains(element) ? element : null;
+}
+
+/**
+ * Set up listening mode: playback controls in the footer and sheet, voice and rate settings
+ */
+function setupSpeechListeners() {
+  if (!isSpeechSupported()) return;
+
+  initSpeech({
+    onSentence: (index, sentence) => {
+      ui.showSpokenSentence(sentenceRange(sentence));
+      saveListeningPosition(index);
+    },
+    onStateChange: (playing) => {
+      ui.updateSpeechControls(isListening(), playing);
+    },
+    onFinish: () => {
+      saveListeningPosition(null);
+    }
+  });
+
+  ui.enableSpeech();
+  refreshVoices();
+
+  // Voices load asynchronously in some browsers
+  window.speechSynthesis.addEventListener('voiceschanged', refreshVoices);
+
+  ui.elements.listenFooterBtn.addEventListener('click', () => {
+    toggleListening();
+  });
+
+  ui.elements.sheetListenBtn.addEventListener('click', () => {
+    ui.closeSettingsSheet();
+    toggleListening();
+  });
+
+  ui.elements.speechPrevBtn.addEventListener('click', () => {
+    skipSentence(-1);
+  });
+
+  ui.elements.speechNextBtn.addEventListener('click', () => {
+    skipSentence(1);
+  });
+
+  ui.elements.sheetVoiceSelect.addEventListener('change', (e) => {
+    ui.state.settings.speechVoice = e.target.value;
+    setSpeechOptions({ voiceURI: e.target.value });
+    saveSettings();
+  });
+
+  ui.elements.sheetSpeechRateSlider.addEventListener('input', (e) => {
+    ui.setSpeechRate(parseFloat(e.target.value));
+  });
+
+  ui.elements.sheetSpeechRateSlider.addEventListener('change', () => {
+    setSpeechOptions({ rate: ui.state.settings.speechRate });
+    saveSettings();
+  });
+}
+
+/**
+ * List the installed voices in the voice picker, those for the open article's language first
+ */
+function refreshVoices() {
+  if (!isSpeechSupported()) return;
+  ui.renderVoiceOptions(getVoices(ui.state.currentArticle?.language || navigator.language));
+}
+
+/**
+ * Play or pause reading the open article aloud
+ * A new session picks up at the last sentence read, or else at the top of the screen
+ */
+function toggleListening() {
+  const article = ui.state.currentArticle;
+  if (!article) return;
+
+  // Listening moves through the article itself
+  if (!isSpeaking()) endAutoScroll();
+
+  if (isSpeaking()) {
+    pauseSpeech();
+  } else if (isListening()) {
+    resumeSpeech();
+  } else {
+    const sentences = collectSentences(ui.elements.readerContent, article.language || '');
+    const saved = article.listeningPosition;
+    const index = Number.isInteger(saved) && saved < sentences.length ? saved : firstVisibleSentence(sentences);
+
+    startSpeech(sentences, index, {
+      voiceURI: ui.state.settings.speechVoice,
+      rate: ui.state.settings.speechRate,
+      lang: article.language || ''
+    });
+  }
+}
+
+/**
+ * Set up auto-scroll: the sheet controls and the status bar
+ */
+function setupAutoScrollListeners() {
+  ui.elements.sheetAutoScrollBtn.addEventListener('click', () => {
+    ui.closeSettingsSheet();
+    toggleAutoScroll();
+  });
+
+  ui.elements.autoScrollStopBtn.addEventListener('click', () => {
+    endAutoScroll();
+  });
+
+  ui.elements.sheetReadingSpeedSlider.addEventListener('input', (e) => {
+    ui.setReadingSpeed(setAutoScrollSpeed(parseInt(e.target.value, 10)));
+  });
+
+  ui.elements.sheetReadingSpeedSlider.addEventListener('change', () => {
+    saveSettings();
+  });
+}
+
+/**
+ * Start or stop auto-scrolling the open article
+ * The speed comes from the article's word count and the reading speed setting
+ */
+function toggleAutoScroll() {
+  const article = ui.state.currentArticle;
+  if (!article) return;
+
+  if (isAutoScrolling()) {
+    endAutoScroll();
+    return;
+  }
+
+  if (isSpeaking()) pauseSpeech();
+
+  startAutoScroll(ui.elements.readerContent, {
+    wordCount: article.wordCount,
+    wordsPerMinute: ui.state.settings.readingSpeed,
+    onFinish: () => ui.updateAutoScrollStatus(false, false)
+  });
+  ui.hideUI();
+  ui.updateAutoScrollStatus(true, false);
+}
+
+/**
+ * Stop auto-scrolling
+ */
+function endAutoScroll() {
+  stopAutoScroll();
+  ui.updateAutoScrollStatus(false, false);
+}
+
+/**
+ * Make auto-scroll faster or slower by one step, and keep the new reading speed
+ * @param {number} direction - 1 for faster, -1 for slower
+ */
+function changeReadingSpeed(direction) {
+  ui.setReadingSpeed(setAutoScrollSpeed(ui.state.settings.readingSpeed + direction * READING_SPEEDS.step));
+  saveSettings();
+}
+
+/**
+ * Remember the sentence being read in the open article
+ * @param {number|null} index - Sentence index, null once the article has been read to the end
+ */
+async function saveListeningPosition(index) {
+  const article = ui.state.currentArticle;
+  if (!article) return;
+
+  article.listeningPosition = index;
+  try {
+    await storage.updateArticle(article.id, { listeningPosition: index });
+  } catch (error) {
+    console.error('Failed to save listening position:', error);
+  }
+}
+
+/**
+ * Set up speed reading: the sheet button and the controls in its dialog
+ */
+function setupRsvpListeners() {
+  const modal = ui.elements.rsvpModal;
+
+  initRsvp({
+    onChunk: (chunk) => {
+      ui.showRsvpChunk(chunk, rsvpMinutesLeft());
+    },
+    onStateChange: (playing) => {
+      ui.updateRsvpControls(playing);
+    }
+  });
+
+  ui.elements.sheetRsvpBtn.addEventListener('click', () => {
+    ui.closeSettingsSheet();
+    openSpeedReading();
+  });
+
+  ui.elements.rsvpPlayBtn.addEventListener('click', () => {
+    toggleRsvp();
+  });
+
+  ui.elements.rsvpWord.addEventListener('click', () => {
+    toggleRsvp();
+  });
+
+  ui.elements.rsvpRewindBtn.addEventListener('click', () => {
+    skipRsvpSentence(-1);
+  });
+
+  ui.elements.rsvpForwardBtn.addEventListener('click', () => {
+    skipRsvpSentence(1);
+  });
+
+  ui.elements.rsvpSpeedSlider.addEventListener('input', (e) => {
+    changeRsvpSpeed(parseInt(e.target.value, 10));
+  });
+
+  ui.elements.rsvpSpeedSlider.addEventListener('change', () => {
+    saveSettings();
+  });
+
+  ui.elements.rsvpChunkSelect.addEventListener('change', (e) => {
+    ui.state.settings.rsvpChunk = parseInt(e.target.value, 10);
+    setRsvpOptions({ chunkSize: ui.state.settings.rsvpChunk });
+    saveSettings();
+  });
+
+  ui.elements.closeRsvpBtn.addEventListener('click', () => {
+    ui.closeSpeedReading();
+  });
+
+  ui.elements.rsvpDoneBtn.addEventListener('click', () => {
+    ui.closeSpeedReading();
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      ui.closeSpeedReading();
+    }
+  });
+
+  // Playback keys; the reader's own shortcuts stay quiet underneath
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') return;
+    e.stopPropagation();
+    if (['INPUT', 'SELECT'].includes(e.target.tagName)) return;
+
+    const actions = {
+      ' ': () => toggleRsvp(),
+      ArrowLeft: () => skipRsvpSentence(-1),
+      ArrowRight: () => skipRsvpSentence(1),
+      ArrowUp: () => changeRsvpSpeed(ui.state.settings.rsvpSpeed + RSVP_SPEEDS.step),
+      ArrowDown: () => changeRsvpSpeed(ui.state.settings.rsvpSpeed - RSVP_SPEEDS.step)
+    };
+    if (!actions[e.key]) return;
+
+    e.preventDefault();
+    actions[e.key]();
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') saveSettings();
+  });
+
+  // However the dialog closes, the reader picks up at the same spot
+  modal.addEventListener('close', () => {
+    returnFromSpeedReading();
+  });
+}
+
+/**
+ * Open the article in the speed reading view, starting at the first sentence on screen
+ */
+async function openSpeedReading() {
+  const article = ui.state.currentArticle;
+  if (!article) return;
+
+  if (isSpeaking()) pauseSpeech();
+  endAutoScroll();
+
+  try {
+    const lang = article.language || '';
+    const words = rsvpWords(await storage.getArticleContent(article.id), lang);
+    if (words.length === 0) return;
+
+    const sentences = collectSentences(ui.elements.readerContent, lang);
+    loadRsvp(words, sentenceStart(words, firstVisibleSentence(sentences)), {
+      wordsPerMinute: ui.state.settings.rsvpSpeed,
+      chunkSize: ui.state.settings.rsvpChunk
+    });
+    ui.openSpeedReading();
+  } catch (error) {
+    console.error('Failed to open speed reading:', error);
+  }
+}
+
+/**
+ * Stop speed reading and show its last sentence in the reader, saving the new progress
+ */
+function returnFromSpeedReading() {
+  const index = stopRsvp();
+  const article = ui.state.currentArticle;
+  if (index === null || !article) return;
+
+  const sentences = collectSentences(ui.elements.readerContent, article.language || '');
+  const sentence = sentences[Math.min(index, sentences.length - 1)];
+  if (!sentence) return;
+
+  revealInReader(sentence.block, { block: 'start' });
+  if (isPaged()) ui.updatePageIndicator();
+
+  const progress = readingProgress();
+  ui.updateProgress(progress);
+  storage.updateProgress(
+    article.id,
+    Math.round(progress),
+    getReadingPosition(ui.elements.readerContent)
+  ).catch((error) => {
+    console.error('Failed to save progress:', error);
+  });
+}
+
+/**
+ * Change the speed reading speed and apply it to playback
+ * @param {number} speed - Words per minute, kept within RSVP_SPEEDS
+ */
+function changeRsvpSpeed(speed) {
+  const clamped = Math.min(Math.max(speed, RSVP_SPEEDS.min), RSVP_SPEEDS.max);
+  ui.setRsvpSpeed(clamped);
+  setRsvpOptions({ wordsPerMinute: clamped });
 }
 
 /**
- * Register the service worker
+ * Set up the copy buttons on code blocks in the reader
  */
-async function registerServiceWorker() {
-  if ('serviceWorker' in navigator) {
+function setupCodeBlockListeners() {
+  ui.elements.readerContent.addEventListener('click', async (e) => {
+    const copyBtn = e.target.closest('.code-block__copy');
+    if (!copyBtn) return;
+
     try {
-      const registration = await navigator.serviceWorker.register('/sw.js');
-      console.log('Service worker registered:', registration.scope);
+      await navigator.clipboard.writeText(codeBlockText(copyBtn.closest('.code-block')));
+      ui.showCodeCopied(copyBtn);
     } catch (error) {
-      console.error('Service worker registration failed:', error);
+      console.error('Failed to copy code:', error);
     }
-  }
+  });
 }
 
 /**
- * Handle Web Share Target API
- * Check URL params for shared content
+ * Set up the highlight toolbar, highlight marks and highlights sheet
  */
-function handleShareTarget() {
-  const params = new URLSearchParams(window.location.search);
-  const sharedUrl = params.get('url');
-  const sharedTitle = params.get('title');
-  const sharedText = params.get('text');
+function setupHighlightListeners() {
+  // Offer the toolbar while text in the article is selected
+  document.addEventListener('selectionchange', () => {
+    const selection = window.getSelection();
+    const inReader = ui.state.currentView === 'reader' &&
+      !selection.isCollapsed &&
+      selection.rangeCount > 0 &&
+      ui.elements.readerContent.contains(selection.getRangeAt(0).commonAncestorContainer);
+
+    if (inReader && selection.toString().trim()) {
+      ui.showHighlightToolbar(selection.getRangeAt(0).getBoundingClientRect());
+    } else {
+      ui.hideHighlightToolbar();
+    }
+  });
 
-  // Check if we have shared content
-  if (sharedUrl || sharedText) {
-    // Extract URL from text if not directly provided
-    const urlToSave = sharedUrl || api.extractUrlFromText(sharedText);
+  // Keep the selection when the toolbar is pressed
+  ui.elements.highlightToolbar.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+  });
 
-    if (urlToSave && api.isValidUrl(urlToSave)) {
-      // Open modal with the shared URL
-      ui.openAddModal({
-        url: urlToSave,
-        title: sharedTitle || ''
+  ui.elements.highlightToolbar.addEventListener('click', async (e) => {
+    const colorBtn = e.target.closest('[data-highlight-color]');
+    if (colorBtn) {
+      await createHighlight(colorBtn.dataset.highlightColor);
+      return;
+    }
+
+    if (e.target.closest('[data-highlight-note]')) {
+      const id = await createHighlight(HIGHLIGHT_COLORS[0]);
+      if (id !== null) ui.openHighlightsSheet(id);
+      return;
+    }
+
+    if (e.target.closest('[data-clip-quote]')) {
+      await clipSelection();
+    }
+  });
+
+  // Tapping a highlight opens its note
+  ui.elements.readerContent.addEventListener('click', (e) => {
+    const mark = e.target.closest('mark[data-highlight-id]');
+    if (mark && window.getSelection().isCollapsed) {
+      ui.openHighlightsSheet(Number(mark.dataset.highlightId));
+    }
+  });
+
+  ui.elements.highlightsBtn.addEventListener('click', () => {
+    ui.openHighlightsSheet();
+  });
+
+  ui.elements.highlightsList.addEventListener('click', async (e) => {
+    const gotoBtn = e.target.closest('[data-goto-highlight-id]');
+    const recolorBtn = e.target.closest('[data-recolor-highlight-id]');
+    const deleteBtn = e.target.closest('[data-delete-highlight-id]');
+
+    try {
+      if (gotoBtn) {
+        const mark = ui.elements.readerContent.querySelector(
+          `mark[data-highlight-id="${gotoBtn.dataset.gotoHighlightId}"]`
+        );
+        if (mark) {
+          ui.closeHighlightsSheet();
+          revealInReader(mark, { behavior: 'smooth', block: 'center' });
+        }
+      } else if (recolorBtn) {
+        await storage.updateHighlight(Number(recolorBtn.dataset.recolorHighlightId), {
+          color: recolorBtn.dataset.color
+        });
+        await refreshHighlights();
+      } else if (deleteBtn) {
+        await storage.deleteHighlight(Number(deleteBtn.dataset.deleteHighlightId));
+        await refreshHighlights();
+      }
+    } catch (error) {
+      console.error('Failed to update highlight:', error);
+    }
+  });
+
+  // Notes save when the field loses focus
+  ui.elements.highlightsList.addEventListener('change', async (e) => {
+    const note = e.target.closest('[data-note-highlight-id]');
+    if (!note) return;
+
+    try {
+      const id = Number(note.dataset.noteHighlightId);
+      await storage.updateHighlight(id, { note: note.value.trim() });
+
+      // Update the tooltip without re-rendering the list under the cursor
+      const highlight = ui.state.highlights.find((h) => h.id === id);
+      if (highlight) highlight.note = note.value.trim();
+      ui.elements.readerContent.querySelectorAll(`mark[data-highlight-id="${id}"]`).forEach((mark) => {
+        mark.title = note.value.trim();
       });
+    } catch (error) {
+      console.error('Failed to save note:', error);
     }
+  });
+}
 
-    // Clean URL without reloading
-    window.history.replaceState({}, document.title, '/');
+/**
+ * Open an article in the reader
+ * @param {number} id - Article ID
+ * @param {Object} options - Optional { returnTo } view to show when the reader closes
+ */
+async function openArticle(id, options = {}) {
+  ui.state.readerReturnView = options.returnTo || 'library';
+  stopSpeech();
+  endAutoScroll();
+
+  try {
+    const article = await storage.getArticle(id);
+    const html = renderMarkdown(article.content);
+    ui.renderReader(article, html);
+    refreshVoices();
+    highlightCodeBlocks(ui.elements.readerContent);
+    await resolveImages(ui.elements.readerContent, article);
+    ui.state.highlights = await storage.getHighlights(id);
+    paintHighlights();
+    ui.updatePageIndicator();
+    resumeReading(article);
+  } catch (error) {
+    console.error('Failed to open article:', error);
   }
 }
 
-// ========================================
-// Library Operations
-// ========================================
+/**
+ * Scroll back to where the article was left off
+ * @param {Object} article - Article metadata with its saved reading position
+ */
+async function resumeReading(article) {
+  const container = ui.elements.readerContent;
+  const position = article.readingPosition;
+  if (!position || !restoreReadingPosition(container, position)) return;
+
+  // Images loading above the position push it down; follow them unless the reader has moved on
+  const offset = () => (isPaged() ? getCurrentPage() : window.scrollY);
+  const restoredAt = offset();
+  await waitForImagesAbove(container, position);
+  if (ui.state.currentArticleId === article.id && offset() === restoredAt) {
+    restoreReadingPosition(container, position);
+    ui.updatePageIndicator();
+  }
+}
 
 /**
- * Load and render the library
+ * Leave the reader for the view it was opened from
  */
-async function loadLibrary() {
-  try {
-    const articles = await storage.getAllArticles();
-    ui.renderLibrary(articles);
-  } catch (error) {
-    console.error('Failed to load library:', error);
+function closeReader() {
+  stopSpeech();
+  endAutoScroll();
+
+  if (ui.state.readerReturnView === 'notebook') {
+    ui.showNotebook();
+    loadNotebook();
+  } else {
+    ui.showLibrary();
+    loadLibrary();
   }
 }
 
 /**
- * Add a new article
- * @param {string} url - URL to extract and save
+ * Draw the open article's highlights and refresh the highlights list
  */
-async function addArticle(url) {
-  ui.setAddLoading(true, 10);
-  ui.updateAddProgress(10, 'Fetching article...');
+function paintHighlights() {
+  ui.state.orphanHighlightIds = renderHighlights(ui.elements.readerContent, ui.state.highlights);
+  ui.renderHighlightsList();
+}
 
-  try {
-    // Extract article content
-    ui.updateAddProgress(30, 'Extracting content...');
-    const article = await api.extractArticle(url);
-
-    // Save to storage
-    ui.updateAddProgress(70, 'Saving article...');
-    await storage.addArticle(
-      {
-        title: article.title,
-        url: article.url,
-        author: article.author,
-        siteName: article.siteName,
-        excerpt: article.excerpt
-      },
-      article.markdown
-    );
+/**
+ * Highlight the current selection in the reader
+ * @param {string} color - Highlight color
+ * @returns {Promise<number|null>} New highlight ID, or null if nothing was selected
+ */
+async function createHighlight(color) {
+  const selection = window.getSelection();
+  const article = ui.state.currentArticle;
+  if (!article || selection.isCollapsed || selection.rangeCount === 0) return null;
 
-    // Complete
-    ui.updateAddProgress(100, 'Done!');
+  try {
+    const anchor = describeRange(ui.elements.readerContent, selection.getRangeAt(0));
+    if (!anchor) return null;
 
-    // Refresh library
-    await loadLibrary();
+    const id = await storage.addHighlight(article.id, anchor, { color });
+    selection.removeAllRanges();
+    ui.hideHighlightToolbar();
 
-    // Close modal after brief delay to show completion
-    setTimeout(() => {
-      ui.closeAddModal();
-    }, 300);
+    await refreshHighlights();
+    return id;
   } catch (error) {
-    console.error('Failed to add article:', error);
-    ui.showAddError(error.message || 'Failed to extract article');
-    ui.setAddLoading(false);
+    console.error('Failed to add highlight:', error);
+    return null;
   }
 }
 
 /**
- * Open an article in the reader
- * @param {number} id - Article ID
+ * Save the current selection in the reader to the notebook
  */
-async function openArticle(id) {
+async function clipSelection() {
+  const selection = window.getSelection();
+  const article = ui.state.currentArticle;
+  if (!article || selection.isCollapsed || selection.rangeCount === 0) return;
+
   try {
-    const article = await storage.getArticle(id);
-    const html = renderMarkdown(article.content);
-    ui.renderReader(article, html);
+    const anchor = describeRange(ui.elements.readerContent, selection.getRangeAt(0));
+    if (!anchor) return;
+
+    await storage.addClip(article.id, anchor);
+    selection.removeAllRanges();
+    ui.hideHighlightToolbar();
   } catch (error) {
-    console.error('Failed to open article:', error);
+    console.error('Failed to clip quote:', error);
   }
 }
 
+/**
+ * Reload and repaint the open article's highlights
+ */
+async function refreshHighlights() {
+  const article = ui.state.currentArticle;
+  if (!article) return;
+
+  ui.state.highlights = await storage.getHighlights(article.id);
+  paintHighlights();
+}
+
 /**
  * Export an article as markdown
  * @param {number} id - Article ID
@@ -173,32 +1308,9 @@ async function exportArticle(id) {
   try {
     const article = await storage.getArticle(id);
 
-    // Create markdown content with frontmatter
-    const frontmatter = [
-      '---',
-      `title: "${article.title.replace(/"/g, '\\"')}"`,
-      article.author ? `author: "${article.author}"` : null,
-      article.siteName ? `source: "${article.siteName}"` : null,
-      `url: "${article.url}"`,
-      `saved: "${new Date(article.addedAt).toISOString()}"`,
-      '---',
-      ''
-    ].filter(Boolean).join('\n');
-
-    const markdown = frontmatter + article.content;
-
-    // Create blob and download
-    const blob = new Blob([markdown], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${article.title.replace(/[^a-z0-9]/gi, '-').toLowerCase()}.md`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-
-    URL.revokeObjectURL(url);
+    // Markdown content with frontmatter
+    const markdown = buildFrontmatter(article) + article.content;
+    downloadFile(markdown, `${fileSlug(article.title)}.md`, 'text/markdown');
   } catch (error) {
     console.error('Failed to export article:', error);
   }
@@ -216,9 +1328,9 @@ async function deleteArticle(id, title) {
   try {
     await storage.deleteArticle(id);
 
-    // If in reader view, go back to library
+    // If in reader view, leave it
     if (ui.state.currentArticleId === id) {
-      ui.showLibrary();
+      closeReader();
     }
 
     // Refresh library
@@ -257,20 +1369,131 @@ function attachEventListeners() {
     }
   });
 
+  // Tag filter bar
+  ui.elements.tagBar.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-tag-id]');
+    if (!chip) return;
+    ui.state.activeTagId = chip.dataset.tagId ? parseInt(chip.dataset.tagId, 10) : null;
+    loadLibrary();
+  });
+
+  // Tags modal
+  ui.elements.tagsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const id = ui.state.currentArticleId;
+    if (!id) return;
+
+    try {
+      await storage.setArticleTags(id, ui.parseTags(ui.elements.articleTagsInput.value));
+      ui.closeTagsModal();
+      await loadLibrary();
+    } catch (error) {
+      console.error('Failed to save tags:', error);
+    }
+  });
+
+  ui.elements.articleTagsInput.addEventListener('input', () => {
+    ui.renderTagSuggestions();
+  });
+
+  ui.elements.tagSuggestions.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-tag-name]');
+    if (!chip) return;
+    const names = ui.parseTags(ui.elements.articleTagsInput.value);
+    ui.elements.articleTagsInput.value = [...names, chip.dataset.tagName].join(', ');
+    ui.renderTagSuggestions();
+    ui.elements.articleTagsInput.focus();
+  });
+
+  ui.elements.closeTagsBtn.addEventListener('click', () => {
+    ui.closeTagsModal();
+  });
+
+  ui.elements.cancelTagsBtn.addEventListener('click', () => {
+    ui.closeTagsModal();
+  });
+
+  ui.elements.tagsModal.addEventListener('click', (e) => {
+    if (e.target === ui.elements.tagsModal) {
+      ui.closeTagsModal();
+    }
+  });
+
+  // Library search, run as the user types
+  let searchTimer = null;
+  ui.elements.searchInput.addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      ui.state.searchQuery = e.target.value.trim();
+      loadLibrary();
+    }, 150);
+  });
+
   // Add form submission
   ui.elements.addForm.addEventListener('submit', async (e) => {
     e.preventDefault();
+    // Pasted list of URLs goes to the import queue
+    const bulkUrls = api.extractUrlsFromText(ui.elements.bulkInput.value);
+    if (bulkUrls.length > 0) {
+      ui.elements.bulkInput.value = '';
+      enqueueImports(bulkUrls, ui.parseTags(ui.elements.tagsInput.value));
+      return;
+    }
+
     const url = ui.elements.urlInput.value.trim();
     if (url && api.isValidUrl(url)) {
-      await addArticle(url);
+      await addArticle(url, pageSource());
     } else {
       ui.showAddError('Please enter a valid URL');
     }
   });
 
+  // Actions offered alongside an extraction error
+  ui.elements.addErrorActions.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-error-action]');
+    if (!button || ui.state.isLoading) return;
+
+    const url = ui.elements.urlInput.value.trim();
+    const action = button.dataset.errorAction;
+
+    if (action === 'retry') {
+      ui.clearAddError();
+      await addArticle(url, pageSource());
+    } else if (action === 'paste') {
+      ui.clearAddError();
+      ui.elements.sourceOptions.open = true;
+      ui.elements.htmlInput.focus();
+    } else if (action === 'bookmark') {
+      await addBookmark(url);
+    }
+  });
+
+  // Retry failed imports
+  ui.elements.importQueueList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-retry-id]');
+    if (button) {
+      retryImport(parseInt(button.dataset.retryId, 10));
+    }
+  });
+
+  ui.elements.retryFailedBtn.addEventListener('click', () => {
+    ui.state.importQueue
+      .filter((item) => item.status === 'failed')
+      .forEach((item) => retryImport(item.id));
+  });
+
+  // Pasted source and an uploaded file are alternatives: picking one clears the other
+  ui.elements.htmlFileInput.addEventListener('change', () => {
+    if (ui.elements.htmlFileInput.files.length > 0) ui.elements.htmlInput.value = '';
+  });
+
+  ui.elements.htmlInput.addEventListener('input', () => {
+    ui.elements.htmlFileInput.value = '';
+  });
+
   // Back button
   ui.elements.backBtn.addEventListener('click', () => {
-    ui.showLibrary();
+    closeReader();
   });
 
   // Export article button (in reader)
@@ -281,12 +1504,34 @@ function attachEventListeners() {
     }
   });
 
+  // Tags button (in reader)
+  ui.elements.tagsArticleBtn.addEventListener('click', async () => {
+    const id = ui.state.currentArticleId;
+    if (id) {
+      ui.openTagsModal(await storage.getArticleTags(id));
+    }
+  });
+
   // Delete article button (in reader)
   ui.elements.deleteArticleBtn.addEventListener('click', async () => {
-    const id = ui.state.currentArticleId;
-    const article = ui.state.articles.find((a) => a.id === id);
+    const article = ui.state.currentArticle;
+    if (article) {
+      await deleteArticle(article.id, article.title);
+    }
+  });
+
+  // Favorite and archive buttons (in reader)
+  ui.elements.favoriteArticleBtn.addEventListener('click', () => {
+    const article = ui.state.currentArticle;
+    if (article) {
+      setFavorite(article.id, !article.isFavorite);
+    }
+  });
+
+  ui.elements.archiveArticleBtn.addEventListener('click', () => {
+    const article = ui.state.currentArticle;
     if (article) {
-      await deleteArticle(id, article.title);
+      setArticleStatus(article.id, article.status === 'archived' ? 'inbox' : 'archived');
     }
   });
 
@@ -299,15 +1544,46 @@ function attachEventListeners() {
     deleteArticle(e.detail.id, e.detail.title);
   });
 
+  document.addEventListener('article-favorite', (e) => {
+    setFavorite(e.detail.id, e.detail.favorite);
+  });
+
+  document.addEventListener('article-archive', (e) => {
+    setArticleStatus(e.detail.id, e.detail.status);
+  });
+
+  // Library tabs
+  ui.elements.libraryTabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      ui.state.libraryTab = tab.dataset.libraryTab;
+      ui.renderLibraryTabs();
+      loadLibrary();
+    });
+  });
+
   // Keyboard navigation
   document.addEventListener('keydown', (e) => {
     // Escape to go back or close modal
     if (e.key === 'Escape') {
       if (ui.elements.settingsModal.open) {
         ui.closeSettingsModal();
+      } else if (ui.elements.tagsModal.open) {
+        ui.closeTagsModal();
       } else if (ui.elements.addModal.open) {
         ui.closeAddModal();
+      } else if (ui.elements.rsvpModal.open) {
+        ui.closeSpeedReading();
+      } else if (ui.state.footnoteRef) {
+        ui.hideFootnote();
+      } else if (ui.state.highlightsSheetOpen) {
+        ui.closeHighlightsSheet();
+      } else if (ui.state.tocSheetOpen) {
+        ui.closeTocSheet();
+      } else if (isAutoScrolling()) {
+        endAutoScroll();
       } else if (ui.state.currentView === 'reader') {
+        closeReader();
+      } else if (ui.state.currentView === 'notebook') {
         ui.showLibrary();
       }
     }
@@ -346,6 +1622,14 @@ function attachEventListeners() {
     });
   });
 
+  // Layout buttons
+  ui.elements.layoutButtons.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      ui.setLayout(btn.dataset.layout);
+      saveSettings();
+    });
+  });
+
   // Font size slider
   ui.elements.fontSizeSlider.addEventListener('input', (e) => {
     ui.setFontSize(parseInt(e.target.value, 10));
@@ -364,6 +1648,43 @@ function attachEventListeners() {
     saveSettings();
   });
 
+  // Auto-archive finished articles
+  ui.elements.autoArchiveToggle.addEventListener('change', (e) => {
+    ui.state.settings.autoArchive = e.target.checked;
+    saveSettings();
+  });
+
+  // Line numbers in code blocks
+  ui.elements.lineNumbersToggle.addEventListener('change', (e) => {
+    ui.state.settings.codeLineNumbers = e.target.checked;
+    ui.applySettings();
+    saveSettings();
+  });
+
+  // Rename, merge and delete tags
+  ui.elements.tagList.addEventListener('click', async (e) => {
+    const renameBtn = e.target.closest('[data-rename-tag-id]');
+    const deleteBtn = e.target.closest('[data-delete-tag-id]');
+
+    if (renameBtn) {
+      await renameTag(parseInt(renameBtn.dataset.renameTagId, 10));
+    } else if (deleteBtn) {
+      await deleteTag(parseInt(deleteBtn.dataset.deleteTagId, 10));
+    }
+  });
+
+  // Save site rules
+  ui.elements.saveRulesBtn.addEventListener('click', async () => {
+    try {
+      const rules = api.parseExtractionRules(ui.elements.rulesInput.value);
+      await storage.setSetting('extractionRules', rules);
+      ui.state.extractionRules = rules;
+      ui.showRulesError('');
+    } catch (error) {
+      ui.showRulesError(error.message);
+    }
+  });
+
   // Settings footer button (reader view)
   ui.elements.settingsFooterBtn?.addEventListener('click', () => {
     ui.openSettingsSheet();
@@ -372,8 +1693,19 @@ function attachEventListeners() {
   // Settings sheet backdrop click to close
   ui.elements.settingsSheetBackdrop?.addEventListener('click', () => {
     ui.closeSettingsSheet();
+    ui.closeHighlightsSheet();
+    ui.closeTocSheet();
   });
 
+  setupHighlightListeners();
+  setupNotebookListeners();
+  setupCodeBlockListeners();
+  setupTocListeners();
+  setupFootnoteListeners();
+  setupSpeechListeners();
+  setupAutoScrollListeners();
+  setupRsvpListeners();
+
   // Sheet theme buttons
   ui.elements.sheetThemeButtons?.forEach((btn) => {
     btn.addEventListener('click', () => {
@@ -390,6 +1722,14 @@ function attachEventListeners() {
     });
   });
 
+  // Sheet layout buttons
+  ui.elements.sheetLayoutButtons?.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      ui.setLayout(btn.dataset.layout);
+      saveSettings();
+    });
+  });
+
   // Sheet font size slider
   ui.elements.sheetFontSizeSlider?.addEventListener('input', (e) => {
     ui.setFontSize(parseInt(e.target.value, 10));
@@ -420,6 +1760,7 @@ async function loadSettings() {
   try {
     const savedSettings = await storage.getSetting('readerSettings');
     ui.loadSettings(savedSettings);
+    ui.state.extractionRules = await storage.getSetting('extractionRules', {});
   } catch (error) {
     console.error('Failed to load settings:', error);
   }
@@ -464,23 +1805,33 @@ function setupNetworkDetection() {
  */
 function setupScrollProgress() {
   let ticking = false;
+  let finishedArticleId = null;
 
-  window.addEventListener('scroll', () => {
+  const handleScroll = () => {
     if (!ticking && ui.state.currentView === 'reader') {
       window.requestAnimationFrame(() => {
-        const scrollTop = window.scrollY;
-        const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const progress = docHeight > 0 ? (scrollTop / docHeight) * 100 : 0;
+        const progress = readingProgress();
 
         ui.updateProgress(progress);
 
-        // Save progress to storage
-        if (ui.state.currentArticleId && progress > 0) {
-          storage.updateProgress(ui.state.currentArticleId, Math.round(progress));
+        // Follow the section being read in the table of contents
+        const headingId = findCurrentHeading(ui.state.headings);
+        if (headingId !== ui.state.currentHeadingId) {
+          ui.updateCurrentHeading(headingId);
+        }
 
-          // Mark as read when scrolled past 90%
-          if (progress > 90) {
-            storage.markAsRead(ui.state.currentArticleId);
+        // Save progress and the resume position to storage
+        if (ui.state.currentArticleId && progress > 0) {
+          storage.updateProgress(
+            ui.state.currentArticleId,
+            Math.round(progress),
+            getReadingPosition(ui.elements.readerContent)
+          );
+
+          // Mark as read when scrolled past 90%, once per visit
+          if (progress > 90 && finishedArticleId !== ui.state.currentArticleId) {
+            finishedArticleId = ui.state.currentArticleId;
+            finishArticle(ui.state.currentArticle);
           }
         }
 
@@ -488,9 +1839,91 @@ function setupScrollProgress() {
       });
       ticking = true;
     }
+  };
+
+  window.addEventListener('scroll', handleScroll);
+
+  // Turning pages scrolls the article itself rather than the window
+  ui.elements.readerContent.addEventListener('scroll', handleScroll);
+}
+
+/**
+ * How far through the article the reader is
+ * @returns {number} Percentage (0-100)
+ */
+function readingProgress() {
+  if (isPaged()) {
+    const pages = getPageCount();
+    return pages > 1 ? (getCurrentPage() / (pages - 1)) * 100 : 0;
+  }
+
+  const docHeight = document.documentElement.scrollHeight - window.innerHeight;
+  return docHeight > 0 ? (window.scrollY / docHeight) * 100 : 0;
+}
+
+/**
+ * Mark the article in the reader as read, archiving it if the user asked for that
+ * @param {Object} article - Current article
+ */
+async function finishArticle(article) {
+  if (!article) return;
+
+  const archive = ui.state.settings.autoArchive && article.status !== 'archived';
+
+  try {
+    await storage.markAsRead(article.id, { archive });
+    article.isRead = true;
+
+    if (archive) {
+      article.status = 'archived';
+      ui.updateReaderActions();
+      await loadLibrary();
+    }
+  } catch (error) {
+    console.error('Failed to mark article as read:', error);
+  }
+}
+
+// ========================================
+// Pages
+// ========================================
+
+/**
+ * Setup the paginated layout of the reader
+ */
+function setupPages() {
+  const container = ui.elements.readerContent;
+  initPages(container);
+
+  container.addEventListener('scroll', () => {
+    if (!isPaged()) return;
+
+    // Selecting text or focusing a link can scroll part way; settle on a whole page
+    showPage(getCurrentPage());
+    ui.updatePageIndicator();
+    ui.hideFootnote();
+  });
+
+  // Images change the page count as they load
+  container.addEventListener('load', () => {
+    if (isPaged()) ui.updatePageIndicator();
+  }, true);
+
+  let resizeTimer = null;
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => ui.layoutReader(), 150);
   });
 }
 
+/**
+ * Turn the page in the paginated layout
+ * @param {number} step - 1 for the next page, -1 for the previous
+ */
+function turnPage(step) {
+  showPage(getCurrentPage() + step);
+}
+
 // ========================================
 // Gestures
 // ========================================
@@ -501,6 +1934,18 @@ function setupScrollProgress() {
 function setupGestures() {
   initGestures(ui.elements.readerContent, {
     onTap: () => {
+      // A tap beside an open footnote only closes it
+      if (ui.state.footnoteRef) {
+        ui.hideFootnote();
+        return;
+      }
+
+      // While auto-scrolling, a tap pauses or resumes
+      if (isAutoScrolling()) {
+        ui.updateAutoScrollStatus(true, toggleAutoScrollPause());
+        return;
+      }
+
       // Only toggle UI if sheet is closed
       if (!ui.state.settingsSheetOpen) {
         ui.toggleUI();
@@ -526,6 +1971,24 @@ function setupGestures() {
       if (ui.state.settingsSheetOpen) {
         ui.closeSettingsSheet();
       }
+    },
+    onToggleContents: () => {
+      ui.toggleTocSheet();
+    },
+    onNextPage: () => {
+      turnPage(1);
+    },
+    onPreviousPage: () => {
+      turnPage(-1);
+    },
+    onToggleAutoScroll: () => {
+      toggleAutoScroll();
+    },
+    onSpeedUp: () => {
+      changeReadingSpeed(1);
+    },
+    onSlowDown: () => {
+      changeReadingSpeed(-1);
     }
   });
 }
@@ -0,0 +1,182 @@
+/**
+ * ZenReader - Auto-scroll
+ * Moves through the article on its own, teleprompter style
+ *
+ * The speed is a reading speed in words per minute. With the article's word
+ * count that gives the time the whole article should take, and the article's
+ * height is covered evenly over that time. In the paginated layout the same
+ * time is shared out between the pages, which turn on their own.
+ */
+
+import { isPaged, getCurrentPage, getPageCount, showPage } from './pages.js';
+
+// Reading speed limits, in words per minute
+export const READING_SPEEDS = { min: 100, max: 600, step: 20 };
+
+// Longest gap between frames that is scrolled through; longer ones (a hidden tab) are skipped
+const MAX_FRAME_TIME = 0.1;
+
+// Scroll state
+let scrollTarget = null;
+let wordCount = 0;
+let wordsPerMinute = 200;
+let active = false;
+let paused = false;
+let frame = null;
+let lastTime = null;
+let pending = 0;
+
+// Callbacks
+let onFinish = null;
+
+/**
+ * Start scrolling through an article
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Object} options - { wordCount, wordsPerMinute, onFinish }
+ */
+export function startAutoScroll(container, options = {}) {
+  stopAutoScroll();
+
+  scrollTarget = container;
+  wordCount = options.wordCount || countWords(container);
+  wordsPerMinute = clampSpeed(options.wordsPerMinute || wordsPerMinute);
+  onFinish = options.onFinish || null;
+  active = true;
+  paused = false;
+  requestFrame();
+}
+
+/**
+ * Stop scrolling
+ */
+export function stopAutoScroll() {
+  if (frame !== null) cancelAnimationFrame(frame);
+  frame = null;
+  lastTime = null;
+  pending = 0;
+  active = false;
+  paused = false;
+}
+
+/**
+ * Pause or resume scrolling
+ * @returns {boolean} Whether scrolling is now paused
+ */
+export function toggleAutoScrollPause() {
+  if (!active) return false;
+
+  paused = !paused;
+  if (paused) {
+    cancelAnimationFrame(frame);
+    frame = null;
+  } else {
+    requestFrame();
+  }
+  return paused;
+}
+
+/**
+ * Change the reading speed
+ * @param {number} speed - Words per minute
+ * @returns {number} The speed used, within READING_SPEEDS
+ */
+export function setAutoScrollSpeed(speed) {
+  wordsPerMinute = clampSpeed(speed);
+  return wordsPerMinute;
+}
+
+/**
+ * Whether auto-scroll is on, running or paused
+ * @returns {boolean}
+ */
+export function isAutoScrolling() {
+  return active;
+}
+
+/**
+ * Keep a reading speed within the allowed range
+ * @param {number} speed - Words per minute
+ * @returns {number}
+ */
+function clampSpeed(speed) {
+  const stepped = Math.round(speed / READING_SPEEDS.step) * READING_SPEEDS.step;
+  return Math.min(Math.max(stepped, READING_SPEEDS.min), READING_SPEEDS.max);
+}
+
+/**
+ * Schedule the next frame, starting the clock afresh
+ */
+function requestFrame() {
+  lastTime = null;
+  frame = requestAnimationFrame(step);
+}
+
+/**
+ * Move on by the time since the last frame
+ * @param {number} time - Frame timestamp in milliseconds
+ */
+function step(time) {
+  const elapsed = lastTime === null ? 0 : Math.min((time - lastTime) / 1000, MAX_FRAME_TIME);
+  lastTime = time;
+
+  const finished = isPaged() ? advancePage(elapsed) : advanceScroll(elapsed);
+  if (finished) {
+    stopAutoScroll();
+    onFinish?.();
+    return;
+  }
+
+  frame = requestAnimationFrame(step);
+}
+
+/**
+ * Scroll the window down
+ * @param {number} elapsed - Seconds since the last frame
+ * @returns {boolean} Whether the end of the article has been reached
+ */
+function advanceScroll(elapsed) {
+  const end = scrollTarget.getBoundingClientRect().bottom + window.scrollY - window.innerHeight;
+  if (window.scrollY >= end) return true;
+
+  // Scroll by whole pixels; fractions carry over to the next frame
+  pending += (scrollTarget.offsetHeight / readingSeconds()) * elapsed;
+  const distance = Math.floor(pending);
+  if (distance > 0) {
+    window.scrollBy(0, distance);
+    pending -= distance;
+  }
+  return false;
+}
+
+/**
+ * Turn the page once its share of the reading time has passed
+ * @param {number} elapsed - Seconds since the last frame
+ * @returns {boolean} Whether the last page has been read
+ */
+function advancePage(elapsed) {
+  const pages = getPageCount();
+  pending += elapsed;
+  if (pending < readingSeconds() / pages) return false;
+
+  pending = 0;
+  if (getCurrentPage() >= pages - 1) return true;
+  showPage(getCurrentPage() + 1);
+  return false;
+}
+
+/**
+ * Time the whole article takes at the current speed
+ * @returns {number} Seconds, at least one
+ */
+function readingSeconds() {
+  return Math.max((wordCount / wordsPerMinute) * 60, 1);
+}
+
+/**
+ * Count the words of rendered content
+ * @param {HTMLElement} container
+ * @returns {number}
+ */
+function countWords(container) {
+  return container.textContent.split(/\s+/).filter(Boolean).length;
+}
@@ -72,6 +72,13 @@ template.innerHTML = `
       }
     }
 
+    .card__actions {
+      flex-shrink: 0;
+      display: flex;
+      align-items: center;
+    }
+
+    .card__action,
     .card__delete {
       flex-shrink: 0;
       display: flex;
@@ -89,10 +96,32 @@ template.innerHTML = `
       transition: opacity 0.2s, background-color 0.2s, color 0.2s;
     }
 
-    .card:hover .card__delete {
+    .card:hover .card__action,
+    .card:hover .card__delete,
+    .card__action:focus-visible,
+    .card__delete:focus-visible {
       opacity: 1;
     }
 
+    .card__action:hover {
+      background: var(--bg-tertiary, #e2e8f0);
+      color: var(--text-primary, #1e293b);
+    }
+
+    .card__action svg {
+      width: 1rem;
+      height: 1rem;
+    }
+
+    .card__action--active {
+      opacity: 1;
+      color: var(--color-accent, #3b82f6);
+    }
+
+    .card__favorite.card__action--active svg {
+      fill: currentColor;
+    }
+
     .card__delete:hover {
       background: rgba(239, 68, 68, 0.1);
       color: var(--color-danger, #ef4444);
@@ -123,6 +152,36 @@ template.innerHTML = `
       }
     }
 
+    .card__excerpt--snippet {
+      -webkit-line-clamp: 3;
+    }
+
+    .card__excerpt mark {
+      background: var(--color-highlight, rgba(250, 204, 21, 0.4));
+      color: inherit;
+      border-radius: 0.125rem;
+    }
+
+    .card__tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.25rem;
+      margin-bottom: 0.5rem;
+    }
+
+    .card__tags:empty {
+      display: none;
+    }
+
+    .card__tag {
+      padding: 0.0625rem 0.375rem;
+      border-radius: 999px;
+      background: var(--bg-tertiary, #e2e8f0);
+      color: var(--text-secondary, #64748b);
+      font-size: 0.625rem;
+      white-space: nowrap;
+    }
+
     .card__meta {
       display: flex;
       align-items: center;
@@ -174,6 +233,24 @@ template.innerHTML = `
       flex-shrink: 0;
     }
 
+    .card__progress {
+      position: absolute;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      height: 3px;
+      background: var(--bg-tertiary, #e2e8f0);
+    }
+
+    .card__progress[hidden] {
+      display: none;
+    }
+
+    .card__progress-fill {
+      height: 100%;
+      background: var(--color-accent, #3b82f6);
+    }
+
     .card__icon {
       width: 0.875rem;
       height: 0.875rem;
@@ -190,14 +267,29 @@ template.innerHTML = `
   <article class="card" tabindex="0" role="button">
     <header class="card__header">
       <h3 class="card__title"></h3>
-      <button class="card__delete" aria-label="Delete article" title="Delete article">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-          <polyline points="3 6 5 6 21 6"></polyline>
-          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-        </svg>
-      </button>
+      <div class="card__actions">
+        <button class="card__action card__favorite" aria-label="Favorite" title="Favorite">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+          </svg>
+        </button>
+        <button class="card__action card__archive" aria-label="Archive" title="Archive">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="21 8 21 21 3 21 3 8"></polyline>
+            <rect x="1" y="3" width="22" height="5"></rect>
+            <line x1="10" y1="12" x2="14" y2="12"></line>
+          </svg>
+        </button>
+        <button class="card__delete" aria-label="Delete article" title="Delete article">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="3 6 5 6 21 6"></polyline>
+            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+          </svg>
+        </button>
+      </div>
     </header>
     <p class="card__excerpt"></p>
+    <div class="card__tags"></div>
     <footer class="card__meta">
       <span class="card__site">
         <svg class="card__icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -218,12 +310,15 @@ template.innerHTML = `
         <span class="card__date-value"></span>
       </span>
     </footer>
+    <div class="card__progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" hidden>
+      <div class="card__progress-fill"></div>
+    </div>
   </article>
 `;
 
 class ArticleCard extends HTMLElement {
   static get observedAttributes() {
-    return ['article-id', 'title', 'site', 'read-time', 'is-read', 'excerpt', 'saved-at'];
+    return ['article-id', 'title', 'site', 'read-time', 'is-read', 'excerpt', 'saved-at', 'tags', 'status', 'favorite', 'progress'];
   }
 
   constructor() {
@@ -235,10 +330,30 @@ class ArticleCard extends HTMLElement {
     this._card = this.shadowRoot.querySelector('.card');
     this._title = this.shadowRoot.querySelector('.card__title');
     this._excerpt = this.shadowRoot.querySelector('.card__excerpt');
+    this._tags = this.shadowRoot.querySelector('.card__tags');
     this._siteName = this.shadowRoot.querySelector('.card__site-name');
     this._timeValue = this.shadowRoot.querySelector('.card__time-value');
     this._dateValue = this.shadowRoot.querySelector('.card__date-value');
     this._deleteBtn = this.shadowRoot.querySelector('.card__delete');
+    this._favoriteBtn = this.shadowRoot.querySelector('.card__favorite');
+    this._archiveBtn = this.shadowRoot.querySelector('.card__archive');
+    this._progress = this.shadowRoot.querySelector('.card__progress');
+    this._progressFill = this.shadowRoot.querySelector('.card__progress-fill');
+    this._snippet = null;
+  }
+
+  /**
+   * Matching passage from a search, as { text, match } segments
+   * Shown in place of the excerpt, with matches highlighted
+   * @param {Array<Object>|null} segments
+   */
+  set snippet(segments) {
+    this._snippet = segments;
+    this._render();
+  }
+
+  get snippet() {
+    return this._snippet;
   }
 
   connectedCallback() {
@@ -263,13 +378,55 @@ class ArticleCard extends HTMLElement {
     const isRead = this.getAttribute('is-read') === 'true';
     const excerpt = this.getAttribute('excerpt') || '';
     const savedAt = this.getAttribute('saved-at');
+    const tags = (this.getAttribute('tags') || '').split(',').filter(Boolean);
+    const archived = this.getAttribute('status') === 'archived';
+    const favorite = this.getAttribute('favorite') === 'true';
+    const progress = Math.min(Math.max(parseInt(this.getAttribute('progress'), 10) || 0, 0), 100);
+    // Started but not finished: show how far along and how long is left
+    const inProgress = !isRead && progress > 0 && progress < 100;
 
     this._title.textContent = title;
-    this._excerpt.textContent = excerpt;
+    this._renderExcerpt(excerpt);
+    this._tags.replaceChildren(...tags.map((tag) => {
+      const chip = document.createElement('span');
+      chip.className = 'card__tag';
+      chip.textContent = tag;
+      return chip;
+    }));
     this._siteName.textContent = site;
-    this._timeValue.textContent = `${readTime} min`;
+    this._timeValue.textContent = inProgress && readTime !== '?'
+      ? `${Math.max(1, Math.ceil(readTime * (1 - progress / 100)))} min left`
+      : `${readTime} min`;
     this._dateValue.textContent = savedAt ? this._formatDate(savedAt) : '';
     this._card.classList.toggle('card--read', isRead);
+
+    this._progress.hidden = !inProgress;
+    this._progress.setAttribute('aria-valuenow', progress);
+    this._progress.setAttribute('aria-label', `Continue reading, ${progress}% read`);
+    this._progressFill.style.width = `${progress}%`;
+
+    this._favoriteBtn.classList.toggle('card__action--active', favorite);
+    this._favoriteBtn.title = favorite ? 'Remove from favorites' : 'Favorite';
+    this._favoriteBtn.setAttribute('aria-label', this._favoriteBtn.title);
+    this._archiveBtn.title = archived ? 'Move to inbox' : 'Archive';
+    this._archiveBtn.setAttribute('aria-label', this._archiveBtn.title);
+  }
+
+  _renderExcerpt(excerpt) {
+    const snippet = this._snippet;
+    this._excerpt.classList.toggle('card__excerpt--snippet', Boolean(snippet));
+
+    if (!snippet) {
+      this._excerpt.textContent = excerpt;
+      return;
+    }
+
+    this._excerpt.replaceChildren(...snippet.map((segment) => {
+      if (!segment.match) return document.createTextNode(segment.text);
+      const mark = document.createElement('mark');
+      mark.textContent = segment.text;
+      return mark;
+    }));
   }
 
   _formatDate(dateStr) {
@@ -295,22 +452,28 @@ class ArticleCard extends HTMLElement {
   _attachEventListeners() {
     this._handleCardClick = this._handleCardClick.bind(this);
     this._handleDeleteClick = this._handleDeleteClick.bind(this);
+    this._handleFavoriteClick = this._handleFavoriteClick.bind(this);
+    this._handleArchiveClick = this._handleArchiveClick.bind(this);
     this._handleKeyDown = this._handleKeyDown.bind(this);
 
     this._card.addEventListener('click', this._handleCardClick);
     this._deleteBtn.addEventListener('click', this._handleDeleteClick);
+    this._favoriteBtn.addEventListener('click', this._handleFavoriteClick);
+    this._archiveBtn.addEventListener('click', this._handleArchiveClick);
     this._card.addEventListener('keydown', this._handleKeyDown);
   }
 
   _removeEventListeners() {
     this._card.removeEventListener('click', this._handleCardClick);
     this._deleteBtn.removeEventListener('click', this._handleDeleteClick);
+    this._favoriteBtn.removeEventListener('click', this._handleFavoriteClick);
+    this._archiveBtn.removeEventListener('click', this._handleArchiveClick);
     this._card.removeEventListener('keydown', this._handleKeyDown);
   }
 
   _handleCardClick(e) {
-    // Don't trigger if delete button was clicked
-    if (e.target.closest('.card__delete')) return;
+    // Don't trigger if an action button was clicked
+    if (e.target.closest('.card__delete, .card__action')) return;
 
     const articleId = this.getAttribute('article-id');
     this.dispatchEvent(
@@ -339,7 +502,38 @@ class ArticleCard extends HTMLElement {
     );
   }
 
+  _handleFavoriteClick(e) {
+    e.stopPropagation();
+    this.dispatchEvent(
+      new CustomEvent('article-favorite', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          id: parseInt(this.getAttribute('article-id'), 10),
+          favorite: this.getAttribute('favorite') !== 'true'
+        }
+      })
+    );
+  }
+
+  _handleArchiveClick(e) {
+    e.stopPropagation();
+    this.dispatchEvent(
+      new CustomEvent('article-archive', {
+        bubbles: true,
+        composed: true,
+        detail: {
+          id: parseInt(this.getAttribute('article-id'), 10),
+          status: this.getAttribute('status') === 'archived' ? 'inbox' : 'archived'
+        }
+      })
+    );
+  }
+
   _handleKeyDown(e) {
+    // Keys on the action buttons belong to the buttons
+    if (e.target !== this._card) return;
+
     if (e.key === 'Enter' || e.key === ' ') {
       e.preventDefault();
       this._handleCardClick(e);
@@ -0,0 +1,208 @@
+/**
+ * ZenReader - Export Module
+ * Markdown, JSON and CSV exports of articles and notebook clips
+ *
+ * Notebook groups are { article, clips } pairs, one per article, as built by
+ * the notebook view. Markdown exports share the frontmatter written by the
+ * single-article export so notes land in Obsidian or Logseq with the same
+ * properties.
+ */
+
+// Words of a quote used for the start and end of a text fragment link
+const FRAGMENT_WORDS = 4;
+
+/**
+ * Build the YAML frontmatter block for an article
+ * @param {Object} article - Article metadata
+ * @returns {string} Frontmatter, ending with a blank line
+ */
+export function buildFrontmatter(article) {
+  return [
+    '---',
+    `title: ${yamlString(article.title)}`,
+    article.author ? `author: ${yamlString(article.author)}` : null,
+    article.siteName ? `source: ${yamlString(article.siteName)}` : null,
+    `url: ${yamlString(article.url)}`,
+    article.publishedTime ? `published: "${article.publishedTime}"` : null,
+    `saved: "${new Date(article.addedAt).toISOString()}"`,
+    '---',
+    ''
+  ].filter((line) => line !== null).join('\n');
+}
+
+/**
+ * Turn a title into a file name
+ * @param {string} title
+ * @returns {string} Lowercase name without extension
+ */
+export function fileSlug(title) {
+  return title.replace(/[^a-z0-9]/gi, '-').toLowerCase();
+}
+
+/**
+ * Download text as a file
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export one article's clips as a note, with the article frontmatter
+ * @param {Object} group - { article, clips }
+ * @returns {string} Markdown
+ */
+export function articleClipsToMarkdown({ article, clips }) {
+  return `${buildFrontmatter(article)}\n# ${article.title}\n\n${clipsToMarkdown(article, clips)}`;
+}
+
+/**
+ * Export the notebook as a single Markdown file, one section per article
+ * @param {Array<Object>} groups - { article, clips } pairs
+ * @returns {string} Markdown
+ */
+export function notebookToMarkdown(groups) {
+  const clipCount = groups.reduce((total, group) => total + group.clips.length, 0);
+  const header = [
+    '---',
+    'title: "ZenReader Notebook"',
+    `exported: "${new Date().toISOString()}"`,
+    `clips: ${clipCount}`,
+    '---',
+    ''
+  ].join('\n');
+
+  const sections = groups.map(({ article, clips }) => {
+    const byline = [article.author, article.siteName].filter(Boolean).join(' · ');
+    return [
+      `## [${escapeLinkText(article.title)}](${article.url})`,
+      byline ? `\n${byline}` : null,
+      `\n${clipsToMarkdown(article, clips)}`
+    ].filter((part) => part !== null).join('\n');
+  });
+
+  return `${header}\n${sections.join('\n')}`;
+}
+
+/**
+ * Export the notebook as JSON
+ * @param {Array<Object>} groups - { article, clips } pairs
+ * @returns {string} JSON text
+ */
+export function notebookToJson(groups) {
+  const data = {
+    exportedAt: new Date().toISOString(),
+    articles: groups.map(({ article, clips }) => ({
+      title: article.title,
+      url: article.url,
+      siteName: article.siteName || null,
+      author: article.author || null,
+      publishedTime: article.publishedTime || null,
+      savedAt: new Date(article.addedAt).toISOString(),
+      clips: clips.map((clip) => ({
+        quote: clip.exact,
+        position: clip.position,
+        clippedAt: new Date(clip.createdAt).toISOString()
+      }))
+    }))
+  };
+
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Export the notebook as CSV, one row per clip
+ * @param {Array<Object>} groups - { article, clips } pairs
+ * @returns {string} CSV text
+ */
+export function notebookToCsv(groups) {
+  const rows = [['quote', 'title', 'url', 'site', 'author', 'clipped_at']];
+
+  groups.forEach(({ article, clips }) => {
+    clips.forEach((clip) => {
+      rows.push([
+        clip.exact,
+        article.title,
+        article.url,
+        article.siteName || '',
+        article.author || '',
+        new Date(clip.createdAt).toISOString()
+      ]);
+    });
+  });
+
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format clips as blockquotes, each followed by a link to the passage
+ * @param {Object} article - Article metadata
+ * @param {Array<Object>} clips - The article's clips
+ * @returns {string} Markdown
+ */
+function clipsToMarkdown(article, clips) {
+  return clips.map((clip) => {
+    const quote = clip.exact.split('\n').map((line) => `> ${line}`).join('\n');
+    return `${quote}\n\n— [${escapeLinkText(article.title)}](${fragmentUrl(article.url, clip.exact)})\n`;
+  }).join('\n');
+}
+
+/**
+ * Link to a passage with a text fragment, so browsers scroll to it
+ * @param {string} url - Article URL
+ * @param {string} quote - Clipped text
+ * @returns {string} URL with a #:~:text= fragment
+ */
+function fragmentUrl(url, quote) {
+  const words = quote.split(/\s+/).filter(Boolean);
+  const encode = (text) => encodeURIComponent(text).replace(/-/g, '%2D');
+
+  let fragment;
+  if (words.length <= FRAGMENT_WORDS * 2) {
+    fragment = encode(words.join(' '));
+  } else {
+    fragment = `${encode(words.slice(0, FRAGMENT_WORDS).join(' '))},${encode(words.slice(-FRAGMENT_WORDS).join(' '))}`;
+  }
+
+  return `${url.split('#')[0]}#:~:text=${fragment}`;
+}
+
+/**
+ * Quote a value for YAML
+ * @param {string} value
+ * @returns {string}
+ */
+function yamlString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Escape square brackets in Markdown link text
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLinkText(text) {
+  return text.replace(/[[\]]/g, '\\$&');
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -3,10 +3,13 @@
  * Handles touch gestures for immersive reading
  */
 
+import { isPaged } from './pages.js';
+import { isAutoScrolling } from './autoscroll.js';
+
 // Configuration
 const SWIPE_THRESHOLD = 50;   // Minimum distance for swipe
-const TAP_THRESHOLD = 10;     // Maximum movement for tap
 const SWIPE_TIMEOUT = 300;    // Maximum time for swipe gesture (ms)
+const PAGE_TURN_ZONE = 0.25;  // Share of the screen width at each side that turns pages
 
 // Touch tracking state
 let touchStartX = null;
@@ -22,6 +25,12 @@ let onSwipeDown = null;
 let onSwipeLeft = null;
 let onSwipeRight = null;
 let onTap = null;
+let onToggleContents = null;
+let onNextPage = null;
+let onPreviousPage = null;
+let onToggleAutoScroll = null;
+let onSpeedUp = null;
+let onSlowDown = null;
 
 /**
  * Initialize gesture handling on an element
@@ -35,6 +44,12 @@ export function initGestures(element, callbacks = {}) {
   onSwipeLeft = callbacks.onSwipeLeft || null;
   onSwipeRight = callbacks.onSwipeRight || null;
   onTap = callbacks.onTap || null;
+  onToggleContents = callbacks.onToggleContents || null;
+  onNextPage = callbacks.onNextPage || null;
+  onPreviousPage = callbacks.onPreviousPage || null;
+  onToggleAutoScroll = callbacks.onToggleAutoScroll || null;
+  onSpeedUp = callbacks.onSpeedUp || null;
+  onSlowDown = callbacks.onSlowDown || null;
 
   if (element) {
     element.addEventListener('touchstart', handleTouchStart, { passive: true });
@@ -59,6 +74,12 @@ function handleTouchStart(e) {
   touchStartX = touch.clientX;
   touchStartY = touch.clientY;
   touchStartTime = Date.now();
+
+  // While auto-scrolling, a swipe changes the speed instead of scrolling.
+  // The other touch listeners are passive, so only this one can cancel the scroll.
+  if (isAutoScrolling() && gestureTarget) {
+    gestureTarget.addEventListener('touchmove', preventTouchScroll, { passive: false });
+  }
 }
 
 /**
@@ -69,6 +90,14 @@ function handleTouchMove(e) {
   // Just tracking, let the page scroll naturally
 }
 
+/**
+ * Keep a touch from scrolling the page
+ * @param {TouchEvent} e
+ */
+function preventTouchScroll(e) {
+  if (e.cancelable) e.preventDefault();
+}
+
 /**
  * Handle touch end
  * @param {TouchEvent} e
@@ -90,7 +119,14 @@ function handleTouchEnd(e) {
   }
 
   // Determine gesture type
-  if (absY > SWIPE_THRESHOLD && absY > absX) {
+  if (absY > SWIPE_THRESHOLD && absY > absX && isAutoScrolling()) {
+    // Vertical swipe while auto-scrolling changes its speed; preventTouchScroll kept it from scrolling
+    if (deltaY > 0) {
+      if (onSpeedUp) onSpeedUp();
+    } else {
+      if (onSlowDown) onSlowDown();
+    }
+  } else if (absY > SWIPE_THRESHOLD && absY > absX) {
     // Vertical swipe (more vertical than horizontal)
     if (deltaY > 0) {
       // Swipe up -> hide UI
@@ -100,6 +136,14 @@ function handleTouchEnd(e) {
       if (onSwipeDown) onSwipeDown();
     }
     if (e.cancelable) e.preventDefault();
+  } else if (absX > SWIPE_THRESHOLD && absX > absY && isPaged()) {
+    // Horizontal swipe between pages
+    if (deltaX > 0) {
+      if (onNextPage) onNextPage();
+    } else {
+      if (onPreviousPage) onPreviousPage();
+    }
+    if (e.cancelable) e.preventDefault();
   } else if (absX > SWIPE_THRESHOLD && absX > absY) {
     // Horizontal swipe (more horizontal than vertical)
     if (deltaX > 0) {
@@ -110,15 +154,10 @@ function handleTouchEnd(e) {
       if (onSwipeRight) onSwipeRight();
     }
     if (e.cancelable) e.preventDefault();
-  } else if (absX < TAP_THRESHOLD && absY < TAP_THRESHOLD) {
-    // It's a tap -> toggle UI
-    // But only if not clicking on interactive elements
-    const target = e.target;
-    if (!isInteractiveElement(target)) {
-      if (onTap) onTap();
-    }
   }
 
+  // Taps are not handled here. A tap also fires a click straight after touchend,
+  // so handling both toggled the UI on and off again; handleClick takes them alone.
   resetTouch();
 }
 
@@ -136,22 +175,48 @@ function resetTouch() {
   touchStartX = null;
   touchStartY = null;
   touchStartTime = null;
+  gestureTarget?.removeEventListener('touchmove', preventTouchScroll);
 }
 
 /**
- * Handle click for desktop tap detection
+ * Handle clicks: mouse clicks, and taps on touch screens
+ * Edge taps turn pages in the paginated layout; other taps toggle the UI
  * @param {MouseEvent} e
  */
 function handleClick(e) {
+  // Clicks that end a text selection are not taps
+  if (!window.getSelection().isCollapsed) return;
+
   // Only handle clicks directly on the content area, not on interactive elements
   if (!isInteractiveElement(e.target)) {
     // Don't trigger on link clicks
     if (e.target.tagName !== 'A' && !e.target.closest('a')) {
-      if (onTap) onTap();
+      const zone = pageTurnZone(e.clientX);
+      if (zone > 0) {
+        if (onNextPage) onNextPage();
+      } else if (zone < 0) {
+        if (onPreviousPage) onPreviousPage();
+      } else if (onTap) {
+        onTap();
+      }
     }
   }
 }
 
+/**
+ * Which edge of the screen a tap turns the page from
+ * @param {number} x - Viewport x coordinate of the tap
+ * @returns {number} -1 for the left edge, 1 for the right edge, 0 elsewhere or when not paginated
+ */
+function pageTurnZone(x) {
+  if (!isPaged()) return 0;
+
+  const zone = window.innerWidth * PAGE_TURN_ZONE;
+  if (x < zone) return -1;
+  if (x > window.innerWidth - zone) return 1;
+  return 0;
+}
+
 /**
  * Check if element is interactive (button, link, input, etc.)
  * @param {HTMLElement} element
@@ -180,7 +245,7 @@ function isInteractiveElement(element) {
  */
 function handleKeyDown(e) {
   // Ignore if focused on input
-  if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
 
   // Only handle in reader view (check body attribute)
   if (document.body.dataset.view !== 'reader') return;
@@ -201,6 +266,48 @@ function handleKeyDown(e) {
         document.exitFullscreen?.();
       }
       break;
+
+    case 'ArrowRight':
+    case 'PageDown':
+    case 'ArrowLeft':
+    case 'PageUp':
+      // Turn pages in the paginated layout; otherwise let the page scroll
+      if (!isPaged() || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+      e.preventDefault();
+      if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+        if (onNextPage) onNextPage();
+      } else if (onPreviousPage) {
+        onPreviousPage();
+      }
+      break;
+
+    case 'ArrowUp':
+    case 'ArrowDown':
+      // Change the auto-scroll speed; otherwise let the page scroll
+      if (!isAutoScrolling() || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+      e.preventDefault();
+      if (e.key === 'ArrowUp') {
+        if (onSpeedUp) onSpeedUp();
+      } else if (onSlowDown) {
+        onSlowDown();
+      }
+      break;
+
+    case 'a':
+    case 'A':
+      // Start or stop auto-scroll
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      e.preventDefault();
+      if (onToggleAutoScroll) onToggleAutoScroll();
+      break;
+
+    case 't':
+    case 'T':
+      // Toggle the table of contents
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      e.preventDefault();
+      if (onToggleContents) onToggleContents();
+      break;
   }
 }
 
@@ -214,6 +321,12 @@ export function updateCallbacks(callbacks) {
   if (callbacks.onSwipeLeft !== undefined) onSwipeLeft = callbacks.onSwipeLeft;
   if (callbacks.onSwipeRight !== undefined) onSwipeRight = callbacks.onSwipeRight;
   if (callbacks.onTap !== undefined) onTap = callbacks.onTap;
+  if (callbacks.onToggleContents !== undefined) onToggleContents = callbacks.onToggleContents;
+  if (callbacks.onNextPage !== undefined) onNextPage = callbacks.onNextPage;
+  if (callbacks.onPreviousPage !== undefined) onPreviousPage = callbacks.onPreviousPage;
+  if (callbacks.onToggleAutoScroll !== undefined) onToggleAutoScroll = callbacks.onToggleAutoScroll;
+  if (callbacks.onSpeedUp !== undefined) onSpeedUp = callbacks.onSpeedUp;
+  if (callbacks.onSlowDown !== undefined) onSlowDown = callbacks.onSlowDown;
 }
 
 /**
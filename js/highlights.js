@@ -0,0 +1,224 @@
+/**
+ * ZenReader - Highlights Module
+ * Anchors highlights to article text and draws them in the reader
+ *
+ * A highlight is stored as a text quote: the exact passage plus a little
+ * text before and after it, and its rough position. Matching ignores
+ * whitespace, so a highlight survives the article being re-rendered even if
+ * the markup, line breaks or spacing change. When the passage appears more
+ * than once, the surrounding context picks the right occurrence.
+ */
+
+// Characters of context stored on each side of the passage
+const CONTEXT_LENGTH = 32;
+
+// Available highlight colors, first is the default
+export const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+/**
+ * Describe a selection as a text quote anchor
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Range} range - Selected range, inside the container
+ * @returns {Object|null} { exact, prefix, suffix, position }, or null for an empty selection
+ */
+export function describeRange(container, range) {
+  const index = buildTextIndex(container);
+
+  // A character is selected when the boundaries on both sides of it are in the range
+  let start = -1;
+  let end = -1;
+  index.positions.forEach(({ node, offset }, i) => {
+    if (range.isPointInRange(node, offset) && range.isPointInRange(node, offset + 1)) {
+      if (start === -1) start = i;
+      end = i + 1;
+    }
+  });
+
+  if (start === -1) return null;
+
+  return {
+    exact: range.toString().replace(/\s+/g, ' ').trim(),
+    prefix: index.text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: index.text.slice(end, end + CONTEXT_LENGTH),
+    position: start
+  };
+}
+
+/**
+ * Find a text quote in rendered article content
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Object} quote - { exact, prefix, suffix, position }
+ * @returns {Range|null} Range covering the passage, or null if it is gone
+ */
+export function findQuote(container, quote) {
+  const index = buildTextIndex(container);
+  const match = locateQuote(index, quote);
+  if (!match) return null;
+
+  const first = index.positions[match.start];
+  const last = index.positions[match.end - 1];
+  const range = document.createRange();
+  range.setStart(first.node, first.offset);
+  range.setEnd(last.node, last.offset + 1);
+  return range;
+}
+
+/**
+ * Draw highlights into rendered article content
+ * Existing highlight marks are removed first
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Array<Object>} highlights - Stored highlights
+ * @returns {Array<number>} IDs of highlights whose passage could not be found
+ */
+export function renderHighlights(container, highlights) {
+  clearHighlights(container);
+
+  const orphans = [];
+  highlights.forEach((highlight) => {
+    if (!paintHighlight(container, highlight)) {
+      orphans.push(highlight.id);
+    }
+  });
+
+  return orphans;
+}
+
+/**
+ * Remove all highlight marks, leaving the text in place
+ * @param {HTMLElement} container - Rendered article content
+ */
+export function clearHighlights(container) {
+  container.querySelectorAll('mark[data-highlight-id]').forEach((mark) => {
+    mark.replaceWith(...mark.childNodes);
+  });
+  container.normalize();
+}
+
+/**
+ * Wrap a highlight's passage in <mark> elements
+ * A passage spanning several paragraphs gets one mark per text node
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Object} highlight - Stored highlight
+ * @returns {boolean} Whether the passage was found
+ */
+function paintHighlight(container, highlight) {
+  const index = buildTextIndex(container);
+  const match = locateQuote(index, highlight);
+  if (!match) return false;
+
+  // Group the matched characters by text node
+  const segments = new Map();
+  for (let i = match.start; i < match.end; i++) {
+    const { node, offset } = index.positions[i];
+    const segment = segments.get(node);
+    if (segment) {
+      segment.end = offset + 1;
+    } else {
+      segments.set(node, { start: offset, end: offset + 1 });
+    }
+  }
+
+  segments.forEach(({ start, end }, node) => {
+    node.splitText(end);
+    const target = node.splitText(start);
+
+    const mark = document.createElement('mark');
+    mark.className = `highlight highlight--${highlight.color || HIGHLIGHT_COLORS[0]}`;
+    mark.dataset.highlightId = highlight.id;
+    mark.setAttribute('role', 'button');
+    mark.title = highlight.note || '';
+    target.replaceWith(mark);
+    mark.appendChild(target);
+  });
+
+  return true;
+}
+
+/**
+ * Find the best match for a text quote
+ * @param {Object} index - Text index from buildTextIndex
+ * @param {Object} quote - { exact, prefix, suffix, position }
+ * @returns {Object|null} { start, end } character indexes into the text index
+ */
+function locateQuote(index, quote) {
+  const exact = stripWhitespace(quote.exact);
+  if (!exact) return null;
+
+  const prefix = stripWhitespace(quote.prefix || '');
+  const suffix = stripWhitespace(quote.suffix || '');
+  let best = null;
+
+  for (let start = index.text.indexOf(exact); start !== -1; start = index.text.indexOf(exact, start + 1)) {
+    const end = start + exact.length;
+    const before = index.text.slice(Math.max(0, start - prefix.length), start);
+    const after = index.text.slice(end, end + suffix.length);
+    const score = commonSuffixLength(before, prefix) + commonPrefixLength(after, suffix);
+    const distance = Math.abs(start - (quote.position || 0));
+
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start, end, score, distance };
+    }
+  }
+
+  return best && { start: best.start, end: best.end };
+}
+
+/**
+ * Map the non-whitespace characters of a container to their text nodes
+ * @param {HTMLElement} container
+ * @returns {Object} { text, positions } where positions[i] is the { node, offset } of text[i]
+ */
+function buildTextIndex(container) {
+  const positions = [];
+  let text = '';
+
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue;
+    for (let offset = 0; offset < value.length; offset++) {
+      if (!/\s/.test(value[offset])) {
+        text += value[offset];
+        positions.push({ node, offset });
+      }
+    }
+  }
+
+  return { text, positions };
+}
+
+/**
+ * Remove all whitespace from text
+ * @param {string} text
+ * @returns {string}
+ */
+function stripWhitespace(text) {
+  return text.replace(/\s+/g, '');
+}
+
+/**
+ * Length of the shared ending of two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function commonSuffixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Length of the shared beginning of two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+}
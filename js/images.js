@@ -0,0 +1,128 @@
+/**
+ * ZenReader - Image Archiving
+ * Downloads article images into OPFS so saved articles read fully offline
+ *
+ * The stored markdown keeps the original image URLs, so exports stay portable.
+ * Each article records a map of remote URL -> archived file name, and the
+ * reader swaps archived images in when the article is opened.
+ */
+
+import * as storage from './storage.js';
+import { fetchImage } from './api.js';
+
+// Per-article budget: images past these limits stay remote
+const MAX_ARCHIVE_BYTES = 20 * 1024 * 1024;
+const MAX_IMAGES = 50;
+
+// Images downloaded at the same time
+const IMAGE_CONCURRENCY = 3;
+
+// File extensions for the types the image proxy returns
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif'
+};
+
+// Object URLs handed out for the article in the reader
+let objectUrls = [];
+
+/**
+ * Find the remote images referenced by markdown
+ * @param {string} markdown - Article markdown
+ * @returns {Array<string>} Unique http(s) image URLs, in order
+ */
+export function findImageUrls(markdown) {
+  const urls = [];
+
+  for (const match of (markdown || '').matchAll(/!\[[^\]]*\]\(([^)\s]+)[^)]*\)/g)) {
+    const url = match[1];
+    if (/^https?:\/\//i.test(url) && !urls.includes(url)) {
+      urls.push(url);
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Download an article's images into OPFS
+ * Best effort: images that fail or don't fit the budget are left remote
+ * @param {number} id - Article ID
+ * @param {string} markdown - Article markdown
+ * @returns {Promise<Object>} { images, bytes } archived files keyed by remote URL
+ */
+export async function archiveImages(id, markdown) {
+  const urls = findImageUrls(markdown).slice(0, MAX_IMAGES);
+  const images = {};
+  let bytes = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      const url = urls[index];
+
+      try {
+        const blob = await fetchImage(url);
+
+        // A smaller image later in the article may still fit
+        if (bytes + blob.size > MAX_ARCHIVE_BYTES) continue;
+        bytes += blob.size;
+
+        const fileName = `${index}.${EXTENSIONS[blob.type] || 'img'}`;
+        await storage.saveArticleImage(id, fileName, blob);
+        images[url] = fileName;
+      } catch (error) {
+        console.warn(`Could not archive image ${url}:`, error.message);
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(IMAGE_CONCURRENCY, urls.length) }, worker)
+  );
+
+  if (Object.keys(images).length > 0) {
+    await storage.updateArticle(id, { images, imageBytes: bytes });
+  }
+
+  return { images, bytes };
+}
+
+/**
+ * Point the reader's images at their archived copies
+ * Images without an archived copy keep loading from the web
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Object} article - Article metadata with its images map
+ */
+export async function resolveImages(container, article) {
+  releaseImages();
+
+  const images = article.images || {};
+  if (Object.keys(images).length === 0) return;
+
+  const elements = [...container.querySelectorAll('img[src]')];
+
+  await Promise.all(elements.map(async (img) => {
+    const fileName = images[img.getAttribute('src')];
+    if (!fileName) return;
+
+    const file = await storage.getArticleImage(article.id, fileName);
+    if (!file) return;
+
+    const objectUrl = URL.createObjectURL(file);
+    objectUrls.push(objectUrl);
+    img.src = objectUrl;
+  }));
+}
+
+/**
+ * Revoke the object URLs of the previously opened article
+ */
+export function releaseImages() {
+  objectUrls.forEach((url) => URL.revokeObjectURL(url));
+  objectUrls = [];
+}
@@ -1,8 +1,68 @@
 /**
  * ZenReader - Markdown Renderer
- * Simple regex-based markdown to HTML converter
+ * CommonMark parser with the GitHub Flavored Markdown extensions
+ * (tables, task lists, strikethrough and bare URL autolinks)
+ *
+ * Footnotes follow GitHub: [^label] references and [^label]: definitions,
+ * numbered in order of first reference and listed at the end.
+ *
+ * Rendering runs in two passes. The block pass splits the document into
+ * headings, paragraphs, lists, quotes, code and tables, and collects link
+ * reference definitions. The inline pass then turns the text of each block
+ * into emphasis, links and code spans, so a reference can be used before it
+ * is defined.
+ *
+ * Raw HTML is shown as text, except <a> and <img> tags which pass through.
+ * Turndown never writes other tags, so any other tag in its output is part
+ * of the article's prose.
  */
 
+// Columns per tab when measuring indentation
+const TAB_STOP = 4;
+
+// Prefix on every ID in article content, so a heading such as "Reader content"
+// cannot take the ID of one of the app's own elements
+const ID_PREFIX = 'md-';
+
+// Block starts
+const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const CODE_FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const BLOCKQUOTE = /^ {0,3}>/;
+const LIST_MARKER = /^( {0,3})([-+*]|(\d{1,9})([.)]))( *)(.*)$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+
+// Link reference definition at the start of a paragraph: [label]: destination "title"
+const REFERENCE_DEFINITION = new RegExp(
+  '^\\[((?:[^\\\\\\[\\]]|\\\\.){1,999})\\]:[ \\t]*\\n?[ \\t]*' +
+  '(<(?:[^<>\\n\\\\]|\\\\.)*>|[^\\s<]\\S*)' +
+  '(?:(?:[ \\t]+|[ \\t]*\\n[ \\t]*)("(?:[^"\\\\]|\\\\.)*"|\'(?:[^\'\\\\]|\\\\.)*\'|\\((?:[^()\\\\]|\\\\.)*\\)))?' +
+  '[ \\t]*(?=\\n|$)'
+);
+
+// Inline syntax
+const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/;
+const PUNCTUATION = /[!-/:-@[-`{-~\p{P}\p{S}]/u;
+const PLAIN_TEXT = /^[^\\`*_~![\]<&\n]+/;
+const ENTITY = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/;
+const URI_AUTOLINK = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^<>\x00-\x20]*)>/;
+const EMAIL_AUTOLINK = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const RAW_HTML = /^<(?:a\s[^<>]*|\/a\s*|img\s[^<>]*)>/i;
+const FOOTNOTE_REFERENCE = /^\[\^([^\]\s]+)\]/;
+const BARE_URL = /(^|[\s*_~(])((?:https?:\/\/|www\.)[\w-]+(?:\.[\w-]+)+[^\s<]*)/gi;
+
+// Entities decoded inside link destinations and titles; others are kept as written
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: '\u00a0'
+};
+
 /**
  * Render markdown to HTML
  * @param {string} md - Markdown content
@@ -11,91 +71,1375 @@
 export function renderMarkdown(md) {
   if (!md) return '';
 
-  let html = md
-    // Escape HTML entities (but preserve already-escaped ones from Turndown)
-    .replace(/&(?!(amp|lt|gt|quot|#39);)/g, '&amp;')
-    .replace(/<(?!\/?(a|img)\s)/g, '&lt;')
-    .replace(/(?<!["=])>/g, '&gt;')
+  const lines = md.replace(/\r\n?/g, '\n').split('\n').map(expandIndent);
+  const refs = new Map();
+  const { blocks } = parseBlocks(lines, refs);
+  const doc = {
+    refs,
+    headingIds: new Set(),
+    notes: collectFootnotes(blocks, new Map()),
+    noteOrder: [],
+    noteRefCounts: new Map()
+  };
+
+  const html = renderBlocks(blocks, doc, false);
+  return doc.noteOrder.length > 0 ? `${html}\n${renderFootnotes(doc)}` : html;
+}
+
+/**
+ * Calculate estimated reading time
+ * @param {string} text - Text content
+ * @param {number} wordsPerMinute - Reading speed (default 200)
+ * @returns {number} Estimated minutes
+ */
+export function calculateReadingTime(text, wordsPerMinute = 200) {
+  const words = text.trim().split(/\s+/).length;
+  return Math.ceil(words / wordsPerMinute);
+}
+
+/**
+ * Namespace an ID from article content
+ * IDs that already carry the prefix are returned as they are
+ * @param {string} id - ID, or the target of an in-page link without its #
+ * @returns {string}
+ */
+export function articleId(id) {
+  return id.startsWith(ID_PREFIX) ? id : `${ID_PREFIX}${id}`;
+}
+
+// ========================================
+// Block Parsing
+// ========================================
+
+/**
+ * Split lines into blocks
+ * Container blocks (quotes, list items) collect their lines and parse them recursively
+ * @param {Array<string>} lines - Lines with container prefixes already removed
+ * @param {Map} refs - Link reference definitions, filled in as they are found
+ * @returns {Object} { blocks, blankBetween } where blankBetween says whether
+ *   blank lines separate any two blocks (which makes a list item loose)
+ */
+function parseBlocks(lines, refs) {
+  const blocks = [];
+  let blankBetween = false;
+  let sawBlank = false;
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      sawBlank = blocks.length > 0;
+      i++;
+      continue;
+    }
+    if (sawBlank) blankBetween = true;
+    sawBlank = false;
+
+    const result = parseFencedCode(lines, i) ||
+      parseIndentedCode(lines, i) ||
+      parseAtxHeading(lines, i) ||
+      parseThematicBreak(lines, i) ||
+      parseBlockquote(lines, i, refs) ||
+      parseList(lines, i, refs) ||
+      parseTable(lines, i) ||
+      parseFootnoteDefinition(lines, i, refs) ||
+      parseParagraph(lines, i, refs);
+
+    if (result.block) blocks.push(result.block);
+    i = result.next;
+  }
+
+  return { blocks, blankBetween };
+}
+
+/**
+ * Parse a fenced code block
+ * @param {Array<string>} lines
+ * @param {number} i - Index of the opening fence
+ * @returns {Object|null} { block, next }
+ */
+function parseFencedCode(lines, i) {
+  const match = lines[i].match(CODE_FENCE);
+  if (!match) return null;
+
+  const [, indent, fence, info] = match;
+  if (fence[0] === '`' && info.includes('`')) return null;
+
+  const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+  const code = [];
+  let next = i + 1;
+
+  while (next < lines.length && !closing.test(lines[next])) {
+    // Content lines lose as much indentation as the opening fence had
+    code.push(lines[next].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+    next++;
+  }
+
+  return {
+    block: {
+      type: 'code',
+      lang: unescapeString(info.trim().split(/\s+/)[0] || ''),
+      text: code.length > 0 ? `${code.join('\n')}\n` : ''
+    },
+    next: next + 1
+  };
+}
+
+/**
+ * Parse an indented code block
+ * @param {Array<string>} lines
+ * @param {number} i - Index of the first code line
+ * @returns {Object|null} { block, next }
+ */
+function parseIndentedCode(lines, i) {
+  if (indentOf(lines[i]) < 4) return null;
+
+  const code = [];
+  let next = i;
+  while (next < lines.length && (isBlank(lines[next]) || indentOf(lines[next]) >= 4)) {
+    code.push(lines[next].slice(4));
+    next++;
+  }
+
+  // Trailing blank lines are not part of the block
+  while (isBlank(code[code.length - 1])) {
+    code.pop();
+    next--;
+  }
+
+  return {
+    block: { type: 'code', lang: '', text: `${code.join('\n')}\n` },
+    next
+  };
+}
+
+/**
+ * Parse an ATX heading (# Heading)
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @returns {Object|null} { block, next }
+ */
+function parseAtxHeading(lines, i) {
+  const match = lines[i].match(ATX_HEADING);
+  if (!match) return null;
+
+  const text = match[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+  return {
+    block: { type: 'heading', level: match[1].length, text },
+    next: i + 1
+  };
+}
+
+/**
+ * Parse a thematic break (---, ***, ___)
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @returns {Object|null} { block, next }
+ */
+function parseThematicBreak(lines, i) {
+  if (!THEMATIC_BREAK.test(lines[i])) return null;
+  return { block: { type: 'hr' }, next: i + 1 };
+}
+
+/**
+ * Parse a blockquote, including lazy continuation lines of its last paragraph
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @param {Map} refs - Link reference definitions
+ * @returns {Object|null} { block, next }
+ */
+function parseBlockquote(lines, i, refs) {
+  if (!BLOCKQUOTE.test(lines[i])) return null;
+
+  const inner = [];
+  let next = i;
+
+  while (next < lines.length) {
+    const line = lines[next];
+    const match = line.match(/^ {0,3}> ?(.*)$/);
+
+    if (match) {
+      inner.push(match[1]);
+    } else if (!isBlank(line) && paragraphContinues(inner) && !interruptsParagraph(line)) {
+      inner.push(line);
+    } else {
+      break;
+    }
+    next++;
+  }
+
+  return {
+    block: { type: 'blockquote', blocks: parseBlocks(inner, refs).blocks },
+    next
+  };
+}
+
+/**
+ * Parse a bullet or ordered list
+ * Items continue on lines indented past their marker; the list ends at the
+ * first line that is neither part of an item nor a sibling item
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @param {Map} refs - Link reference definitions
+ * @returns {Object|null} { block, next }
+ */
+function parseList(lines, i, refs) {
+  const first = matchListMarker(lines[i]);
+  if (!first) return null;
+
+  const items = [];
+  let loose = false;
+  let next = i;
+
+  while (next < lines.length) {
+    const marker = matchListMarker(lines[next]);
+    if (!marker || !sameListType(marker, first)) break;
+
+    const itemLines = [marker.firstLine];
+    let j = next + 1;
+
+    while (j < lines.length) {
+      const line = lines[j];
+
+      if (isBlank(line)) {
+        // An item can start with at most one blank line
+        if (itemLines.length === 1 && isBlank(itemLines[0])) break;
+        itemLines.push('');
+      } else if (indentOf(line) >= marker.contentIndent) {
+        itemLines.push(line.slice(marker.contentIndent));
+      } else if (!matchListMarker(line) && !isBlank(lines[j - 1]) &&
+        paragraphContinues(itemLines) && !interruptsParagraph(line)) {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line);
+      } else {
+        break;
+      }
+      j++;
+    }
+
+    // Blank lines after the item belong between items, or to the parent
+    while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+      itemLines.pop();
+      j--;
+    }
+
+    const parsed = parseBlocks(itemLines, refs);
+    if (parsed.blankBetween) loose = true;
+    items.push(toListItem(parsed.blocks));
+    next = j;
+
+    // Blank lines before the next sibling make the list loose
+    let after = next;
+    while (after < lines.length && isBlank(lines[after])) after++;
+    const sibling = after < lines.length && matchListMarker(lines[after]);
+    if (!sibling || !sameListType(sibling, first)) break;
+    if (after > next) loose = true;
+    next = after;
+  }
+
+  return {
+    block: {
+      type: 'list',
+      ordered: first.ordered,
+      start: first.start,
+      loose,
+      items
+    },
+    next
+  };
+}
+
+/**
+ * Build a list item, recognizing GFM task list checkboxes
+ * @param {Array<Object>} blocks - Parsed item content
+ * @returns {Object} { task, blocks } where task is null, 'open' or 'done'
+ */
+function toListItem(blocks) {
+  const firstBlock = blocks[0];
+  const match = firstBlock?.type === 'paragraph' && firstBlock.text.match(/^\[([ xX])\](?:[ \t]+|$)/);
+  if (!match) return { task: null, blocks };
+
+  const rest = firstBlock.text.slice(match[0].length);
+  return {
+    task: match[1] === ' ' ? 'open' : 'done',
+    blocks: [{ ...firstBlock, text: rest }, ...blocks.slice(1)]
+  };
+}
+
+/**
+ * Parse a GFM table: header row, delimiter row, then body rows
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @returns {Object|null} { block, next }
+ */
+function parseTable(lines, i) {
+  if (!isTableStart(lines[i], lines[i + 1])) return null;
+
+  const header = splitTableRow(lines[i]);
+  const align = splitTableRow(lines[i + 1]).map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let next = i + 2;
+  while (next < lines.length && !isBlank(lines[next]) && !interruptsParagraph(lines[next])) {
+    // Short rows are padded and long rows cut to the header's width
+    const cells = splitTableRow(lines[next]);
+    rows.push(header.map((_, column) => cells[column] || ''));
+    next++;
+  }
+
+  return {
+    block: { type: 'table', align, header, rows },
+    next
+  };
+}
+
+/**
+ * Parse a footnote definition ([^label]: text)
+ * Like a list item, the note continues on lines indented by four spaces, and
+ * its last paragraph continues lazily on unindented lines
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @param {Map} refs - Link reference definitions
+ * @returns {Object|null} { block, next }
+ */
+function parseFootnoteDefinition(lines, i, refs) {
+  const match = lines[i].match(FOOTNOTE_DEFINITION);
+  if (!match) return null;
+
+  const noteLines = [match[2]];
+  let next = i + 1;
+
+  while (next < lines.length) {
+    const line = lines[next];
+
+    if (isBlank(line)) {
+      noteLines.push('');
+    } else if (indentOf(line) >= 4) {
+      noteLines.push(line.slice(4));
+    } else if (!isBlank(lines[next - 1]) && paragraphContinues(noteLines) && !interruptsParagraph(line)) {
+      noteLines.push(line);
+    } else {
+      break;
+    }
+    next++;
+  }
+
+  // Trailing blank lines belong to the parent
+  while (noteLines.length > 1 && isBlank(noteLines[noteLines.length - 1])) {
+    noteLines.pop();
+    next--;
+  }
+
+  return {
+    block: { type: 'footnote', label: normalizeLabel(match[1]), blocks: parseBlocks(noteLines, refs).blocks },
+    next
+  };
+}
+
+/**
+ * Parse a paragraph, or a setext heading when it is underlined
+ * Link reference definitions at its start are collected and removed
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @param {Map} refs - Link reference definitions
+ * @returns {Object} { block, next }; block is null when only definitions remain
+ */
+function parseParagraph(lines, i, refs) {
+  const text = [lines[i]];
+  let next = i + 1;
+  let level = 0;
+
+  while (next < lines.length) {
+    const line = lines[next];
+    if (isBlank(line)) break;
+
+    const underline = line.match(SETEXT_UNDERLINE);
+    if (underline) {
+      level = underline[1][0] === '=' ? 1 : 2;
+      next++;
+      break;
+    }
+    if (interruptsParagraph(line) || isTableStart(line, lines[next + 1])) break;
+
+    text.push(line);
+    next++;
+  }
+
+  const content = stripReferenceDefinitions(
+    text.map((line) => line.replace(/^[ \t]+/, '')).join('\n'),
+    refs
+  ).replace(/[ \t]+$/, '');
+
+  if (!content) {
+    // A "---" under nothing but definitions is a thematic break
+    return { block: level === 2 ? { type: 'hr' } : null, next };
+  }
+
+  return {
+    block: level > 0
+      ? { type: 'heading', level, text: content }
+      : { type: 'paragraph', text: content },
+    next
+  };
+}
+
+/**
+ * Remove link reference definitions from the start of a paragraph
+ * The first definition of a label wins
+ * @param {string} text - Paragraph text
+ * @param {Map} refs - Link reference definitions, added to
+ * @returns {string} Remaining paragraph text
+ */
+function stripReferenceDefinitions(text, refs) {
+  let remaining = text;
+  let match;
+
+  while ((match = remaining.match(REFERENCE_DEFINITION))) {
+    const label = normalizeLabel(match[1]);
+    if (!label) break;
+
+    if (!refs.has(label)) {
+      const destination = match[2].startsWith('<') ? match[2].slice(1, -1) : match[2];
+      refs.set(label, {
+        dest: unescapeString(destination),
+        title: match[3] ? unescapeString(match[3].slice(1, -1)) : null
+      });
+    }
+    remaining = remaining.slice(match[0].length).replace(/^\n/, '');
+  }
+
+  return remaining;
+}
+
+/**
+ * Read a list marker at the start of a line
+ * @param {string} line
+ * @returns {Object|null} { ordered, bullet, delimiter, start, contentIndent, firstLine, empty }
+ */
+function matchListMarker(line) {
+  if (THEMATIC_BREAK.test(line)) return null;
+
+  const match = line.match(LIST_MARKER);
+  if (!match) return null;
+
+  const [, indent, marker, number, delimiter, spaces, rest] = match;
+  if (!spaces && rest) return null;
+
+  // Content starting 5+ spaces after the marker is indented code, one space in
+  const empty = !rest.trim();
+  const padding = empty || spaces.length > 4 ? 1 : spaces.length;
+  const contentIndent = indent.length + marker.length + padding;
+
+  return {
+    ordered: Boolean(number),
+    bullet: number ? null : marker,
+    delimiter: delimiter || null,
+    start: number ? parseInt(number, 10) : null,
+    contentIndent,
+    firstLine: empty ? '' : line.slice(contentIndent),
+    empty
+  };
+}
+
+/**
+ * Whether two list markers belong to the same list
+ * @param {Object} a - Marker from matchListMarker
+ * @param {Object} b - Marker from matchListMarker
+ * @returns {boolean}
+ */
+function sameListType(a, b) {
+  return a.ordered === b.ordered && a.bullet === b.bullet && a.delimiter === b.delimiter;
+}
+
+/**
+ * Whether a line starts a block that ends an open paragraph
+ * @param {string} line
+ * @returns {boolean}
+ */
+function interruptsParagraph(line) {
+  if (ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line)) return true;
+  if (FOOTNOTE_DEFINITION.test(line)) return true;
+
+  const fence = line.match(CODE_FENCE);
+  if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) return true;
+
+  // Only non-empty items, and ordered lists starting at 1, can interrupt
+  const marker = matchListMarker(line);
+  return Boolean(marker && !marker.empty && (!marker.ordered || marker.start === 1));
+}
+
+/**
+ * Whether the last line collected for a container is paragraph text,
+ * so a following unprefixed line can continue it lazily
+ * @param {Array<string>} lines - Lines collected so far
+ * @returns {boolean}
+ */
+function paragraphContinues(lines) {
+  const last = lines[lines.length - 1];
+  if (last === undefined || isBlank(last) || indentOf(last) >= 4) return false;
+  if (ATX_HEADING.test(last) || THEMATIC_BREAK.test(last) || CODE_FENCE.test(last)) return false;
+
+  // Not inside an unclosed fenced code block
+  const fences = lines.filter((line) => CODE_FENCE.test(line)).length;
+  return fences % 2 === 0;
+}
+
+/**
+ * Whether a line and the one after it open a table
+ * @param {string} line - Header row candidate
+ * @param {string|undefined} delimiter - Delimiter row candidate
+ * @returns {boolean}
+ */
+function isTableStart(line, delimiter) {
+  if (delimiter === undefined || !line.includes('|') || !TABLE_DELIMITER.test(delimiter)) return false;
+  if (indentOf(line) >= 4) return false;
+  return splitTableRow(line).length === splitTableRow(delimiter).length;
+}
+
+/**
+ * Split a table row into trimmed cells
+ * Escaped pipes stay in the cell as plain pipes
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+// ========================================
+// Inline Parsing
+// ========================================
+
+/**
+ * Parse the inline content of a block
+ * @param {string} text - Block text
+ * @param {Map} refs - Link reference definitions
+ * @returns {Array<Object>} Inline nodes
+ */
+function parseInline(text, refs) {
+  const nodes = [];
+  const brackets = [];
+  let pos = 0;
+
+  const pushText = (value) => {
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === 'text' && !last.bracket) {
+      last.value += value;
+    } else {
+      nodes.push({ type: 'text', value });
+    }
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const rest = text.slice(pos);
+
+    const plain = rest.match(PLAIN_TEXT);
+    if (plain) {
+      pushText(plain[0]);
+      pos += plain[0].length;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = text[pos + 1];
+      if (next === '\n') {
+        nodes.push({ type: 'hardbreak' });
+        pos = skipSpaces(text, pos + 2);
+      } else if (next && ASCII_PUNCTUATION.test(next)) {
+        pushText(next);
+        pos += 2;
+      } else {
+        pushText('\\');
+        pos++;
+      }
+    } else if (char === '`') {
+      pos = parseCodeSpan(text, pos, nodes, pushText);
+    } else if (char === '*' || char === '_' || char === '~') {
+      const run = scanDelimiterRun(text, pos, char);
+      if (char === '~' && run.length > 2) {
+        pushText(text.slice(pos, pos + run.length));
+      } else {
+        nodes.push(run);
+      }
+      pos += run.length;
+    } else if (char === '!' && text[pos + 1] === '[') {
+      nodes.push({ type: 'text', value: '![', bracket: true });
+      brackets.push({ index: nodes.length - 1, image: true, start: pos + 2, active: true });
+      pos += 2;
+    } else if (char === '[' && FOOTNOTE_REFERENCE.test(rest)) {
+      const match = rest.match(FOOTNOTE_REFERENCE);
+      nodes.push({ type: 'footnoteRef', label: match[1] });
+      pos += match[0].length;
+    } else if (char === '[') {
+      nodes.push({ type: 'text', value: '[', bracket: true });
+      brackets.push({ index: nodes.length - 1, image: false, start: pos + 1, active: true });
+      pos++;
+    } else if (char === ']') {
+      pos = closeBracket(text, pos, nodes, brackets, refs, pushText);
+    } else if (char === '<') {
+      const uri = rest.match(URI_AUTOLINK);
+      const email = !uri && rest.match(EMAIL_AUTOLINK);
+      const html = !uri && !email && rest.match(RAW_HTML);
+
+      if (uri || email) {
+        const match = uri || email;
+        nodes.push({ type: 'autolink', url: uri ? match[1] : `mailto:${match[1]}`, text: match[1] });
+        pos += match[0].length;
+      } else if (html) {
+        nodes.push({ type: 'html', value: html[0] });
+        pos += html[0].length;
+      } else {
+        pushText('<');
+        pos++;
+      }
+    } else if (char === '&') {
+      const entity = rest.match(ENTITY);
+      if (entity) {
+        nodes.push({ type: 'html', value: entity[0] });
+        pos += entity[0].length;
+      } else {
+        pushText('&');
+        pos++;
+      }
+    } else if (char === '\n') {
+      // Two trailing spaces make a hard line break
+      const last = nodes[nodes.length - 1];
+      let hard = false;
+      if (last && last.type === 'text') {
+        const trimmed = last.value.replace(/ +$/, '');
+        hard = last.value.length - trimmed.length >= 2;
+        last.value = trimmed;
+      }
+      nodes.push({ type: hard ? 'hardbreak' : 'softbreak' });
+      pos = skipSpaces(text, pos + 1);
+    } else {
+      pushText(char);
+      pos++;
+    }
+  }
+
+  resolveEmphasis(nodes);
+  return linkBareUrls(nodes);
+}
+
+/**
+ * Parse a code span at a backtick run
+ * Without a closing run of the same length, the backticks are literal
+ * @param {string} text
+ * @param {number} pos - Position of the opening run
+ * @param {Array<Object>} nodes - Inline nodes, added to
+ * @param {Function} pushText - Adds literal text
+ * @returns {number} Position after the span
+ */
+function parseCodeSpan(text, pos, nodes, pushText) {
+  const length = text.slice(pos).match(/^`+/)[0].length;
+  const closing = new RegExp(`(?<!\`)\`{${length}}(?!\`)`, 'g');
+  closing.lastIndex = pos + length;
+  const match = closing.exec(text);
+
+  if (!match) {
+    pushText('`'.repeat(length));
+    return pos + length;
+  }
+
+  let code = text.slice(pos + length, match.index).replace(/\n/g, ' ');
+  if (/^ .* $/.test(code) && /[^ ]/.test(code)) code = code.slice(1, -1);
+  nodes.push({ type: 'code', value: code });
+
+  return match.index + length;
+}
 
-    // Code blocks (must be before other rules)
-    .replace(/```(\w*)\n([\s\S]*?)```/g, (match, lang, code) => {
-      const escaped = code
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-      return `<pre><code class="language-${lang}">${escaped}</code></pre>`;
-    })
+/**
+ * Measure a run of *, _ or ~ and decide whether it can open or close emphasis
+ * @param {string} text
+ * @param {number} pos - Start of the run
+ * @param {string} char - Delimiter character
+ * @returns {Object} Delimiter node
+ */
+function scanDelimiterRun(text, pos, char) {
+  let end = pos;
+  while (text[end] === char) end++;
+
+  const before = text[pos - 1] || ' ';
+  const after = text[end] || ' ';
+  const beforeSpace = /\s/.test(before);
+  const afterSpace = /\s/.test(after);
+  const beforePunct = PUNCTUATION.test(before);
+  const afterPunct = PUNCTUATION.test(after);
+
+  const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+  const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+
+  // Underscores inside words are not emphasis
+  const canOpen = char === '_' ? leftFlanking && (!rightFlanking || beforePunct) : leftFlanking;
+  const canClose = char === '_' ? rightFlanking && (!leftFlanking || afterPunct) : rightFlanking;
+
+  return {
+    type: 'delim',
+    char,
+    length: end - pos,
+    originalLength: end - pos,
+    canOpen,
+    canClose
+  };
+}
+
+/**
+ * Handle a closing bracket: turn the text since the last [ into a link or image
+ * @param {string} text
+ * @param {number} pos - Position of the ]
+ * @param {Array<Object>} nodes - Inline nodes
+ * @param {Array<Object>} brackets - Open brackets, innermost last
+ * @param {Map} refs - Link reference definitions
+ * @param {Function} pushText - Adds literal text
+ * @returns {number} Position after the link, or after the ] when there is none
+ */
+function closeBracket(text, pos, nodes, brackets, refs, pushText) {
+  const opener = brackets.pop();
+  if (!opener || !opener.active) {
+    pushText(']');
+    return pos + 1;
+  }
 
-    // Inline code
-    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+  let target = null;
+  let end = pos + 1;
 
-    // Headings
-    .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-    .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-    .replace(/^# (.+)$/gm, '<h1>$1</h1>')
+  // Inline link: [text](destination "title")
+  if (text[end] === '(') {
+    const inline = parseLinkTarget(text, end + 1);
+    if (inline) {
+      target = inline;
+      end = inline.end;
+    }
+  }
+
+  // Reference link: [text][label], [text][] or [text]
+  if (!target) {
+    const labelMatch = text.slice(end).match(/^\[((?:[^\\[\]]|\\.){0,999})\]/);
+    let label = text.slice(opener.start, pos);
+    let labelEnd = end;
+
+    if (labelMatch && labelMatch[1].trim()) {
+      label = labelMatch[1];
+      labelEnd = end + labelMatch[0].length;
+    } else if (labelMatch && !labelMatch[1]) {
+      labelEnd = end + 2;
+    }
+
+    const ref = refs.get(normalizeLabel(label));
+    if (ref) {
+      target = ref;
+      end = labelEnd;
+    }
+  }
+
+  if (!target) {
+    pushText(']');
+    return pos + 1;
+  }
+
+  const children = nodes.splice(opener.index).slice(1);
+  resolveEmphasis(children);
+  nodes.push({
+    type: opener.image ? 'image' : 'link',
+    dest: target.dest,
+    title: target.title,
+    children
+  });
+
+  // Links cannot contain other links
+  if (!opener.image) {
+    brackets.forEach((bracket) => {
+      if (!bracket.image) bracket.active = false;
+    });
+  }
+
+  return end;
+}
+
+/**
+ * Parse the (destination "title") part of an inline link
+ * @param {string} text
+ * @param {number} pos - Position just after the (
+ * @returns {Object|null} { dest, title, end }
+ */
+function parseLinkTarget(text, pos) {
+  let p = skipWhitespace(text, pos);
+  let dest = '';
+
+  if (text[p] === '<') {
+    const close = text.slice(p + 1).match(/^((?:[^<>\n\\]|\\.)*)>/);
+    if (!close) return null;
+    dest = close[1];
+    p += close[0].length + 1;
+  } else {
+    // Bare destination: no spaces, parentheses balanced
+    const start = p;
+    let depth = 0;
+    while (p < text.length && !/[\s\x00-\x1f]/.test(text[p])) {
+      if (text[p] === '\\' && ASCII_PUNCTUATION.test(text[p + 1] || '')) {
+        p += 2;
+        continue;
+      }
+      if (text[p] === '(') depth++;
+      if (text[p] === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      p++;
+    }
+    if (depth !== 0) return null;
+    dest = text.slice(start, p);
+  }
+
+  let title = null;
+  const afterDest = skipWhitespace(text, p);
+  const opening = text[afterDest];
+
+  if (afterDest > p && (opening === '"' || opening === '\'' || opening === '(')) {
+    const closingChar = opening === '(' ? ')' : opening;
+    let q = afterDest + 1;
+    while (q < text.length && text[q] !== closingChar) {
+      if (opening === '(' && text[q] === '(') return null;
+      q += text[q] === '\\' ? 2 : 1;
+    }
+    if (q >= text.length) return null;
+    title = text.slice(afterDest + 1, q);
+    p = q + 1;
+  }
+
+  p = skipWhitespace(text, p);
+  if (text[p] !== ')') return null;
+
+  return {
+    dest: unescapeString(dest),
+    title: title === null ? null : unescapeString(title),
+    end: p + 1
+  };
+}
 
-    // Bold and italic
-    .replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>')
-    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*([^*\n]+)\*/g, '<em>$1</em>')
+/**
+ * Match emphasis, strong emphasis and strikethrough delimiters
+ * Follows the CommonMark delimiter run rules, including the rule of three
+ * @param {Array<Object>} nodes - Inline nodes, rewritten in place
+ */
+function resolveEmphasis(nodes) {
+  // Lowest index still worth searching for an opener, per kind of closer
+  const bottoms = new Map();
+  let c = 0;
 
-    // Links (already preserved from HTML)
-    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+  while (c < nodes.length) {
+    const closer = nodes[c];
+    if (closer.type !== 'delim' || !closer.canClose || closer.length === 0) {
+      c++;
+      continue;
+    }
 
-    // Images (already preserved from HTML)
-    .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1" loading="lazy">')
+    const kind = `${closer.char}${closer.canOpen}${closer.originalLength % 3}`;
+    const bottom = bottoms.get(kind) || 0;
+    let o = c - 1;
+    for (; o >= bottom; o--) {
+      const candidate = nodes[o];
+      if (candidate.type !== 'delim' || candidate.char !== closer.char || !candidate.canOpen || candidate.length === 0) {
+        continue;
+      }
+      if (closer.char === '~') {
+        if (candidate.length === closer.length) break;
+        continue;
+      }
+      const sum = candidate.originalLength + closer.originalLength;
+      const ruleOfThree = (candidate.canClose || closer.canOpen) && sum % 3 === 0 &&
+        !(candidate.originalLength % 3 === 0 && closer.originalLength % 3 === 0);
+      if (!ruleOfThree) break;
+    }
 
-    // Blockquotes
-    .replace(/^> (.+)$/gm, '<blockquote>$1</blockquote>')
+    if (o < bottom) {
+      bottoms.set(kind, c);
+      c++;
+      continue;
+    }
 
-    // Horizontal rules
-    .replace(/^---$/gm, '<hr>')
-    .replace(/^\*\*\*$/gm, '<hr>')
+    const opener = nodes[o];
+    const use = closer.char === '~' ? closer.length : Math.min(2, opener.length, closer.length);
+    let type = use === 2 ? 'strong' : 'em';
+    if (closer.char === '~') type = 'del';
 
-    // Unordered lists
-    .replace(/^[\-\*] (.+)$/gm, '<li>$1</li>')
+    const children = nodes.splice(o + 1, c - o - 1);
+    nodes.splice(o + 1, 0, { type, children });
+    opener.length -= use;
+    closer.length -= use;
+    c = o + 2;
 
-    // Ordered lists
-    .replace(/^\d+\. (.+)$/gm, '<li>$1</li>');
+    if (opener.length === 0) {
+      nodes.splice(o, 1);
+      c--;
+    }
+    if (closer.length === 0) {
+      nodes.splice(c, 1);
+    }
+  }
+}
 
-  // Wrap consecutive list items in ul/ol
-  html = html.replace(/(<li>.*<\/li>\n?)+/g, (match) => {
-    return `<ul>${match}</ul>`;
+/**
+ * Turn bare URLs in text into links (GFM autolink extension)
+ * Runs after links are parsed, so URLs already inside link text are left alone
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {Array<Object>} Nodes with autolinks split out of the text
+ */
+function linkBareUrls(nodes) {
+  return nodes.flatMap((node) => {
+    if (node.type === 'text') return splitBareUrls(node.value);
+    if (node.children && node.type !== 'link' && node.type !== 'image') {
+      node.children = linkBareUrls(node.children);
+    }
+    return [node];
   });
+}
+
+/**
+ * Split a text node around the bare URLs in it
+ * @param {string} text
+ * @returns {Array<Object>} Text and autolink nodes
+ */
+function splitBareUrls(text) {
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(BARE_URL)) {
+    const url = trimBareUrl(match[2]);
+    const start = match.index + match[1].length;
+    if (start < last) continue;
+
+    if (start > last) parts.push({ type: 'text', value: text.slice(last, start) });
+    parts.push({ type: 'autolink', url: /^www\./i.test(url) ? `http://${url}` : url, text: url });
+    last = start + url.length;
+  }
+
+  if (last < text.length || parts.length === 0) {
+    parts.push({ type: 'text', value: text.slice(last) });
+  }
+  return parts;
+}
+
+/**
+ * Drop trailing punctuation that GFM leaves out of bare URLs
+ * @param {string} url
+ * @returns {string}
+ */
+function trimBareUrl(url) {
+  let result = url;
+
+  for (;;) {
+    const entity = result.match(/&[A-Za-z0-9]+;$/);
+    if (entity) {
+      result = result.slice(0, -entity[0].length);
+    } else if (/[?!.,:*_~'"]$/.test(result)) {
+      result = result.slice(0, -1);
+    } else if (result.endsWith(')') && countChar(result, ')') > countChar(result, '(')) {
+      result = result.slice(0, -1);
+    } else {
+      return result;
+    }
+  }
+}
+
+// ========================================
+// Rendering
+// ========================================
 
-  // Merge consecutive blockquotes
-  html = html.replace(/(<blockquote>.*<\/blockquote>\n?)+/g, (match) => {
-    const content = match.replace(/<\/?blockquote>/g, ' ').trim();
-    return `<blockquote>${content}</blockquote>`;
+/**
+ * Render blocks to HTML
+ * @param {Array<Object>} blocks
+ * @param {Map} refs - Link reference definitions
+ * @param {boolean} tight - Inside a tight list item, where paragraphs lose their <p>
+ * @returns {string}
+ */
+function renderBlocks(blocks, doc, tight) {
+  return blocks.map((block) => renderBlock(block, doc, tight)).filter(Boolean).join('\n');
+}
+
+/**
+ * Render one block to HTML
+ * @param {Object} block
+ * @param {Object} doc - Document state: link references and heading IDs in use
+ * @param {boolean} tight - Inside a tight list item
+ * @returns {string}
+ */
+function renderBlock(block, doc, tight) {
+  switch (block.type) {
+    case 'heading': {
+      const nodes = parseInline(block.text, doc.refs);
+      const id = headingId(plainText(nodes), doc.headingIds);
+      return `<h${block.level} id="${escapeHtml(id)}">${renderInline(nodes, doc)}</h${block.level}>`;
+    }
+
+    case 'paragraph': {
+      const html = renderInline(parseInline(block.text, doc.refs), doc);
+      return tight ? html : `<p>${html}</p>`;
+    }
+
+    case 'code': {
+      const lang = block.lang ? ` class="language-${escapeHtml(block.lang)}"` : '';
+      return `<pre><code${lang}>${escapeHtml(block.text)}</code></pre>`;
+    }
+
+    case 'hr':
+      return '<hr>';
+
+    case 'blockquote':
+      return `<blockquote>\n${renderBlocks(block.blocks, doc, false)}\n</blockquote>`;
+
+    case 'list':
+      return renderList(block, doc);
+
+    case 'table':
+      return renderTable(block, doc);
+
+    // Rendered at the end, once referenced
+    case 'footnote':
+      return '';
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render a list
+ * @param {Object} list - List block
+ * @param {Object} doc - Document state: link references and heading IDs in use
+ * @returns {string}
+ */
+function renderList(list, doc) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+  const hasTasks = list.items.some((item) => item.task);
+
+  const items = list.items.map((item) => {
+    const checkbox = item.task
+      ? `<input type="checkbox" disabled${item.task === 'done' ? ' checked' : ''}> `
+      : '';
+    const content = renderBlocks(item.blocks, doc, !list.loose);
+    const className = item.task ? ' class="task-list-item"' : '';
+    return `<li${className}>${checkbox}${content}</li>`;
   });
 
-  // Paragraphs - wrap remaining text blocks
-  html = html
-    .split('\n\n')
-    .map((block) => {
-      block = block.trim();
-      if (!block) return '';
+  const className = hasTasks ? ' class="contains-task-list"' : '';
+  return `<${tag}${start}${className}>\n${items.join('\n')}\n</${tag}>`;
+}
 
-      // Don't wrap block elements
-      if (/^<(h[1-6]|ul|ol|li|pre|blockquote|hr|img|a )/.test(block)) {
-        return block;
+/**
+ * Render a table
+ * @param {Object} table - Table block
+ * @param {Object} doc - Document state: link references and heading IDs in use
+ * @returns {string}
+ */
+function renderTable(table, doc) {
+  const cell = (tag, text, column) => {
+    const align = table.align[column] ? ` align="${table.align[column]}"` : '';
+    return `<${tag}${align}>${renderInline(parseInline(text, doc.refs), doc)}</${tag}>`;
+  };
+
+  const head = `<thead>\n<tr>${table.header.map((text, column) => cell('th', text, column)).join('')}</tr>\n</thead>`;
+  const body = table.rows.length > 0
+    ? `\n<tbody>\n${table.rows.map((row) => `<tr>${row.map((text, column) => cell('td', text, column)).join('')}</tr>`).join('\n')}\n</tbody>`
+    : '';
+
+  return `<table>\n${head}${body}\n</table>`;
+}
+
+/**
+ * Render the footnotes section: every referenced note, in order of first reference
+ * Notes can reference further notes, which are appended as they are numbered
+ * @param {Object} doc - Document state
+ * @returns {string}
+ */
+function renderFootnotes(doc) {
+  const items = [];
+
+  for (let i = 0; i < doc.noteOrder.length; i++) {
+    const number = i + 1;
+    const backref = `<a href="#${articleId(`fnref:${number}`)}" class="footnote-backref" aria-label="Back to reference ${number}">\u21a9</a>`;
+    const html = renderBlocks(doc.notes.get(doc.noteOrder[i]), doc, false);
+
+    // The back link joins the end of the last paragraph when there is one
+    const content = html.endsWith('</p>') ? `${html.slice(0, -4)} ${backref}</p>` : `${html}\n${backref}`;
+    items.push(`<li id="${articleId(`fn:${number}`)}">\n${content}\n</li>`);
+  }
+
+  return `<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+}
+
+/**
+ * Render a footnote reference, numbering its note on first use
+ * @param {Object} node - footnoteRef node
+ * @param {Object} doc - Document state
+ * @returns {string}
+ */
+function renderFootnoteRef(node, doc) {
+  const label = normalizeLabel(node.label);
+  if (!doc.notes.has(label)) return escapeHtml(`[^${node.label}]`);
+
+  if (!doc.noteOrder.includes(label)) doc.noteOrder.push(label);
+  const number = doc.noteOrder.indexOf(label) + 1;
+
+  // Later references to the same note get their own IDs; the back link returns to the first
+  const count = (doc.noteRefCounts.get(label) || 0) + 1;
+  doc.noteRefCounts.set(label, count);
+  const id = articleId(count > 1 ? `fnref:${number}:${count}` : `fnref:${number}`);
+
+  return `<sup class="footnote-ref"><a href="#${articleId(`fn:${number}`)}" id="${id}">${number}</a></sup>`;
+}
+
+/**
+ * Render inline nodes to HTML
+ * @param {Array<Object>} nodes
+ * @param {Object} doc - Document state, for footnote numbering
+ * @returns {string}
+ */
+function renderInline(nodes, doc) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return escapeHtml(node.value);
+      case 'html':
+        return node.value;
+      case 'code':
+        return `<code>${escapeHtml(node.value)}</code>`;
+      case 'delim':
+        return node.char.repeat(node.length);
+      case 'softbreak':
+        return '\n';
+      case 'hardbreak':
+        return '<br>\n';
+      case 'em':
+      case 'strong':
+      case 'del':
+        return `<${node.type}>${renderInline(node.children, doc)}</${node.type}>`;
+      case 'link': {
+        const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+        return `<a href="${escapeHtml(normalizeUrl(node.dest))}"${title} target="_blank" rel="noopener noreferrer">${renderInline(node.children, doc)}</a>`;
+      }
+      case 'image': {
+        const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+        return `<img src="${escapeHtml(normalizeUrl(node.dest))}" alt="${escapeHtml(plainText(node.children))}"${title} loading="lazy">`;
       }
+      case 'footnoteRef':
+        return renderFootnoteRef(node, doc);
+      case 'autolink':
+        return `<a href="${escapeHtml(normalizeUrl(node.url))}" target="_blank" rel="noopener noreferrer">${escapeHtml(node.text)}</a>`;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Collect footnote definitions from a block tree, including those nested in quotes and lists
+ * The first definition of a label wins
+ * @param {Array<Object>} blocks
+ * @param {Map} notes - Label to note blocks, added to
+ * @returns {Map} notes
+ */
+function collectFootnotes(blocks, notes) {
+  blocks.forEach((block) => {
+    if (block.type === 'footnote') {
+      if (!notes.has(block.label)) notes.set(block.label, block.blocks);
+      collectFootnotes(block.blocks, notes);
+    } else if (block.type === 'blockquote') {
+      collectFootnotes(block.blocks, notes);
+    } else if (block.type === 'list') {
+      block.items.forEach((item) => collectFootnotes(item.blocks, notes));
+    }
+  });
+  return notes;
+}
 
-      // Wrap in paragraph
-      return `<p>${block.replace(/\n/g, '<br>')}</p>`;
-    })
-    .join('\n');
+/**
+ * Make a heading ID from its text, unique within the document
+ * GitHub-style slugs under the article ID prefix; the sanitizer prefixes in-page
+ * links the same way, so links written against GitHub keep working
+ * @param {string} text - Heading text
+ * @param {Set<string>} used - IDs already given out, updated in place
+ * @returns {string}
+ */
+function headingId(text, used) {
+  const slug = text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-') || 'section';
 
-  return html;
+  const base = articleId(slug);
+  let id = base;
+  for (let n = 1; used.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  used.add(id);
+  return id;
 }
 
 /**
- * Calculate estimated reading time
- * @param {string} text - Text content
- * @param {number} wordsPerMinute - Reading speed (default 200)
- * @returns {number} Estimated minutes
+ * Flatten inline nodes to plain text, for image alt text and heading IDs
+ * @param {Array<Object>} nodes
+ * @returns {string}
  */
-export function calculateReadingTime(text, wordsPerMinute = 200) {
-  const words = text.trim().split(/\s+/).length;
-  return Math.ceil(words / wordsPerMinute);
+function plainText(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text' || node.type === 'code') return node.value;
+    if (node.type === 'delim') return node.char.repeat(node.length);
+    if (node.type === 'softbreak' || node.type === 'hardbreak') return ' ';
+    if (node.type === 'autolink') return node.text;
+    if (node.children) return plainText(node.children);
+    return '';
+  }).join('');
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Replace tabs in a line's leading whitespace with spaces
+ * @param {string} line
+ * @returns {string}
+ */
+function expandIndent(line) {
+  return line.replace(/^[ \t]+/, (whitespace) => {
+    let expanded = '';
+    for (const char of whitespace) {
+      expanded += char === '\t' ? ' '.repeat(TAB_STOP - (expanded.length % TAB_STOP)) : char;
+    }
+    return expanded;
+  });
+}
+
+/**
+ * Count leading spaces
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * Whether a line is empty or whitespace
+ * @param {string|undefined} line
+ * @returns {boolean}
+ */
+function isBlank(line) {
+  return line !== undefined && !line.trim();
+}
+
+/**
+ * Skip spaces and tabs
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number} Position of the next other character
+ */
+function skipSpaces(text, pos) {
+  let p = pos;
+  while (text[p] === ' ' || text[p] === '\t') p++;
+  return p;
+}
+
+/**
+ * Skip any whitespace, including line breaks
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number} Position of the next other character
+ */
+function skipWhitespace(text, pos) {
+  let p = pos;
+  while (p < text.length && /\s/.test(text[p])) p++;
+  return p;
+}
+
+/**
+ * Count occurrences of a character
+ * @param {string} text
+ * @param {string} char
+ * @returns {number}
+ */
+function countChar(text, char) {
+  return text.split(char).length - 1;
+}
+
+/**
+ * Normalize a link label for matching: case-insensitive, whitespace collapsed
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Resolve backslash escapes and entities in a destination, title or info string
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeString(text) {
+  return text.replace(
+    /\\([!-/:-@[-`{-~])|&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));/g,
+    (match, escaped, hex, decimal, name) => {
+      if (escaped) return escaped;
+      if (name) return NAMED_ENTITIES[name] ?? match;
+
+      const codePoint = parseInt(hex || decimal, hex ? 16 : 10);
+      return codePoint === 0 || codePoint > 0x10ffff ? '\ufffd' : String.fromCodePoint(codePoint);
+    }
+  );
+}
+
+/**
+ * Percent-encode characters that are not allowed in a URL
+ * Existing escapes are kept
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  return url.replace(/%(?![0-9a-fA-F]{2})|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gu, (char) => encodeURIComponent(char));
+}
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
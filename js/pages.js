@@ -0,0 +1,119 @@
+/**
+ * ZenReader - Pages
+ * Lays the article out in CSS columns, one column per screen, for e-reader style paging
+ *
+ * The reader content gets a fixed height and flows into as many columns as it
+ * needs, side by side. Its column gap equals its horizontal padding, so each
+ * page is exactly one container width apart and turning a page is setting
+ * scrollLeft to a multiple of that width.
+ */
+
+// Element whose content is paginated
+let pageContainer = null;
+
+/**
+ * Set the element to paginate
+ * @param {HTMLElement} container - Rendered article content
+ */
+export function initPages(container) {
+  pageContainer = container;
+}
+
+/**
+ * Whether the reader is in the paginated layout
+ * @returns {boolean}
+ */
+export function isPaged() {
+  return document.documentElement.dataset.layout === 'paged';
+}
+
+/**
+ * Size the pages to the space the reader has
+ * @param {number|null} height - Page height in pixels, null to remove the layout
+ */
+export function layoutPages(height) {
+  if (!pageContainer) return;
+
+  if (height === null) {
+    pageContainer.style.removeProperty('--page-height');
+    pageContainer.scrollLeft = 0;
+  } else {
+    pageContainer.style.setProperty('--page-height', `${Math.max(Math.floor(height), 160)}px`);
+  }
+}
+
+/**
+ * Count the pages of the article
+ * @returns {number} At least 1
+ */
+export function getPageCount() {
+  if (!pageContainer || !isPaged()) return 1;
+  return Math.max(1, Math.round(pageContainer.scrollWidth / pageWidth()));
+}
+
+/**
+ * Find the page showing
+ * @returns {number} Zero-based page index
+ */
+export function getCurrentPage() {
+  if (!pageContainer || !isPaged()) return 0;
+  return Math.round(pageContainer.scrollLeft / pageWidth());
+}
+
+/**
+ * Show a page
+ * @param {number} page - Zero-based page index, clamped to the article
+ * @returns {number} The page now showing
+ */
+export function showPage(page) {
+  if (!pageContainer || !isPaged()) return 0;
+
+  const target = Math.min(Math.max(page, 0), getPageCount() - 1);
+  const left = target * pageWidth();
+  if (pageContainer.scrollLeft !== left) {
+    pageContainer.scrollLeft = left;
+  }
+  return target;
+}
+
+/**
+ * Find the pages a node is laid out on
+ * @param {Element|Range} node - Element or range inside the container
+ * @returns {Array<number>} [first, last] zero-based page indexes
+ */
+export function pageSpan(node) {
+  const rects = [...node.getClientRects()].filter((rect) => rect.width > 0 || rect.height > 0);
+  if (rects.length === 0) rects.push(node.getBoundingClientRect());
+
+  const pages = rects.map((rect) => pageAt(rect.left));
+  return [Math.min(...pages), Math.max(...pages)];
+}
+
+/**
+ * Show the page a node starts on
+ * @param {Element|Range} node - Element or range inside the container
+ * @returns {number} The page now showing
+ */
+export function showNode(node) {
+  return showPage(pageSpan(node)[0]);
+}
+
+/**
+ * Distance between the starts of two pages
+ * @returns {number} Pixels, the container's width when the layout is applied
+ */
+function pageWidth() {
+  const style = getComputedStyle(pageContainer);
+  const content = pageContainer.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+  return Math.max(content + (parseFloat(style.columnGap) || 0), 1);
+}
+
+/**
+ * Page at a horizontal position on screen
+ * @param {number} x - Viewport x coordinate
+ * @returns {number} Zero-based page index
+ */
+function pageAt(x) {
+  const offset = x - pageContainer.getBoundingClientRect().left + pageContainer.scrollLeft;
+  return Math.max(0, Math.floor(offset / pageWidth()));
+}
@@ -0,0 +1,111 @@
+/**
+ * ZenReader - Reading Position
+ * Remembers where the reader stopped in an article
+ *
+ * The position is the block at the top of the screen, counted among the
+ * article's blocks, plus how far into that block the reader has scrolled as a
+ * fraction of its height. Unlike a page percentage, this still points at the
+ * same passage after the font size, line height or window width changes.
+ * In the paginated layout the fraction counts the pages the block spans.
+ */
+
+import { isPaged, getCurrentPage, showPage, pageSpan } from './pages.js';
+
+// Elements that count as blocks, in document order
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, figure, table, hr, img';
+
+// Longest wait for images above the position to load before settling
+const IMAGE_SETTLE_TIMEOUT = 3000;
+
+/**
+ * Describe the current scroll position within the article
+ * @param {HTMLElement} container - Rendered article content
+ * @returns {Object|null} { block, offset } or null when the article has no blocks
+ */
+export function getReadingPosition(container) {
+  const blocks = readingBlocks(container);
+  if (isPaged()) return getPagePosition(blocks);
+
+  // First block still showing at the top of the viewport
+  const index = blocks.findIndex((block) => block.getBoundingClientRect().bottom > 0);
+  if (index === -1) return null;
+
+  const rect = blocks[index].getBoundingClientRect();
+  const offset = rect.height > 0 ? Math.min(Math.max(-rect.top / rect.height, 0), 1) : 0;
+
+  return { block: index, offset: Math.round(offset * 1000) / 1000 };
+}
+
+/**
+ * Scroll the window back to a saved position
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Object} position - { block, offset } from getReadingPosition
+ * @returns {boolean} Whether the block was found
+ */
+export function restoreReadingPosition(container, position) {
+  const block = readingBlocks(container)[position?.block];
+  if (!block) return false;
+
+  if (isPaged()) {
+    const [first, last] = pageSpan(block);
+    showPage(first + Math.min(Math.floor((position.offset || 0) * (last - first + 1)), last - first));
+    return true;
+  }
+
+  const rect = block.getBoundingClientRect();
+  window.scrollTo(0, window.scrollY + rect.top + rect.height * (position.offset || 0));
+  return true;
+}
+
+/**
+ * Wait for images above a saved position to finish loading
+ * Images that load late push the text down, so the position is applied again after
+ * @param {HTMLElement} container - Rendered article content
+ * @param {Object} position - { block, offset }
+ * @returns {Promise<void>} Resolves when they have loaded, failed or the wait timed out
+ */
+export function waitForImagesAbove(container, position) {
+  const block = readingBlocks(container)[position?.block];
+  if (!block) return Promise.resolve();
+
+  const pending = [...container.querySelectorAll('img')].filter((img) => (
+    !img.complete &&
+    (img === block || img.compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING)
+  ));
+  if (pending.length === 0) return Promise.resolve();
+
+  const loaded = pending.map((img) => new Promise((resolve) => {
+    img.addEventListener('load', resolve, { once: true });
+    img.addEventListener('error', resolve, { once: true });
+  }));
+  const timeout = new Promise((resolve) => setTimeout(resolve, IMAGE_SETTLE_TIMEOUT));
+
+  return Promise.race([Promise.all(loaded), timeout]).then(() => {});
+}
+
+/**
+ * Describe the current page as a reading position
+ * @param {Array<HTMLElement>} blocks - The article's blocks
+ * @returns {Object|null} { block, offset }
+ */
+function getPagePosition(blocks) {
+  const page = getCurrentPage();
+
+  // First block that does not end on an earlier page
+  const index = blocks.findIndex((block) => pageSpan(block)[1] >= page);
+  if (index === -1) return null;
+
+  const [first, last] = pageSpan(blocks[index]);
+  const offset = Math.max(page - first, 0) / (last - first + 1);
+
+  return { block: index, offset: Math.round(offset * 1000) / 1000 };
+}
+
+/**
+ * List the article's blocks in document order
+ * @param {HTMLElement} container
+ * @returns {Array<HTMLElement>}
+ */
+function readingBlocks(container) {
+  return [...container.querySelectorAll(BLOCK_SELECTOR)];
+}
@@ -0,0 +1,266 @@
+/**
+ * ZenReader - Speed Reading
+ * Rapid serial visual presentation: the article one word or short chunk at a time
+ *
+ * Words come from the article's markdown, rendered and split into sentences
+ * the same way as the reader. Each word remembers its sentence, and sentence
+ * numbers match the open reader's, so reading can move between the two views
+ * without losing the place.
+ */
+
+import { renderMarkdown } from './markdown.js';
+import { sanitizeHtml } from './sanitize.js';
+import { collectSentences } from './speech.js';
+
+// Speed limits, in words per minute
+export const RSVP_SPEEDS = { min: 100, max: 1000, step: 25 };
+
+// Extra time on words that end a sentence or clause, and on long words
+const SENTENCE_PAUSE = 2;
+const CLAUSE_PAUSE = 1.5;
+const LONG_WORD_PAUSE = 1.2;
+const LONG_WORD_LENGTH = 9;
+
+// Reading state
+let words = [];
+let index = 0;
+let playing = false;
+let timer = null;
+let options = { wordsPerMinute: 300, chunkSize: 1 };
+
+// Callbacks
+let onChunk = null;
+let onStateChange = null;
+let onFinish = null;
+
+/**
+ * Set the speed reading callbacks
+ * @param {Object} callbacks - { onChunk({ text, pivot, index, total }), onStateChange(playing), onFinish() }
+ */
+export function initRsvp(callbacks = {}) {
+  onChunk = callbacks.onChunk || null;
+  onStateChange = callbacks.onStateChange || null;
+  onFinish = callbacks.onFinish || null;
+}
+
+/**
+ * Split article markdown into words
+ * @param {string} markdown - Article markdown
+ * @param {string} lang - Article language, used to find sentence boundaries
+ * @returns {Array<Object>} { text, sentence } in reading order
+ */
+export function rsvpWords(markdown, lang = '') {
+  // Rendered into an inert template, so nothing loads
+  const template = document.createElement('template');
+  template.innerHTML = sanitizeHtml(renderMarkdown(markdown));
+
+  return collectSentences(template.content, lang).flatMap((sentence, number) => (
+    sentence.text.split(' ').filter(Boolean).map((text) => ({ text, sentence: number }))
+  ));
+}
+
+/**
+ * Find the character the eye should fix on: a little left of the middle
+ * Leading punctuation such as opening quotes is skipped
+ * @param {string} text - Word or chunk
+ * @returns {number} Index of the character
+ */
+export function recognitionPoint(text) {
+  const lead = text.match(/^[^\p{L}\p{N}]*/u)[0].length;
+  const length = text.length - lead;
+
+  let point;
+  if (length <= 1) point = 0;
+  else if (length <= 5) point = 1;
+  else if (length <= 9) point = 2;
+  else if (length <= 13) point = 3;
+  else point = 4;
+
+  return Math.min(lead + point, Math.max(text.length - 1, 0));
+}
+
+/**
+ * Find the first word of a sentence
+ * @param {Array<Object>} list - Words from rsvpWords
+ * @param {number} sentence - Sentence number
+ * @returns {number} Word index, 0 if the sentence is not found
+ */
+export function sentenceStart(list, sentence) {
+  return Math.max(list.findIndex((word) => word.sentence >= sentence), 0);
+}
+
+// ========================================
+// Playback
+// ========================================
+
+/**
+ * Show the first chunk of a word list, paused
+ * @param {Array<Object>} list - Words from rsvpWords
+ * @param {number} start - Word index to start from
+ * @param {Object} rsvpOptions - { wordsPerMinute, chunkSize }
+ */
+export function loadRsvp(list, start, rsvpOptions = {}) {
+  stopRsvp();
+  words = list;
+  options = { ...options, ...rsvpOptions };
+  index = Math.min(Math.max(start, 0), Math.max(words.length - 1, 0));
+  showChunk();
+}
+
+/**
+ * Start or pause playback
+ * @returns {boolean} Whether it is now playing
+ */
+export function toggleRsvp() {
+  if (playing) {
+    pauseRsvp();
+  } else if (words.length > 0) {
+    setPlaying(true);
+    scheduleNext(currentChunk());
+  }
+  return playing;
+}
+
+/**
+ * Pause playback on the current chunk
+ */
+export function pauseRsvp() {
+  clearTimeout(timer);
+  timer = null;
+  setPlaying(false);
+}
+
+/**
+ * Move by sentences
+ * Going back from the middle of a sentence returns to its start first
+ * @param {number} step - -1 to rewind, 1 to skip ahead
+ */
+export function skipRsvpSentence(step) {
+  if (words.length === 0) return;
+
+  const current = words[index].sentence;
+  const start = sentenceStart(words, current);
+  if (step < 0 && index > start) {
+    index = start;
+  } else {
+    const target = Math.min(Math.max(current + step, 0), words[words.length - 1].sentence);
+    index = sentenceStart(words, target);
+  }
+
+  clearTimeout(timer);
+  const chunk = showChunk();
+  if (playing) scheduleNext(chunk);
+}
+
+/**
+ * Change the speed or chunk size
+ * @param {Object} rsvpOptions - { wordsPerMinute, chunkSize }
+ */
+export function setRsvpOptions(rsvpOptions) {
+  options = { ...options, ...rsvpOptions };
+
+  if (words.length > 0) {
+    clearTimeout(timer);
+    const chunk = showChunk();
+    if (playing) scheduleNext(chunk);
+  }
+}
+
+/**
+ * Stop and forget the words
+ * @returns {number|null} Sentence number of the word last shown, null if nothing was loaded
+ */
+export function stopRsvp() {
+  const sentence = words[index]?.sentence ?? null;
+
+  clearTimeout(timer);
+  timer = null;
+  words = [];
+  index = 0;
+  if (playing) setPlaying(false);
+
+  return sentence;
+}
+
+/**
+ * Estimate the reading time left
+ * @returns {number} Minutes
+ */
+export function rsvpMinutesLeft() {
+  return (words.length - index) / options.wordsPerMinute;
+}
+
+/**
+ * Words shown together at the current index; a chunk never spans two sentences
+ * @returns {Array<Object>}
+ */
+function currentChunk() {
+  const chunk = [words[index]];
+  while (
+    chunk.length < options.chunkSize &&
+    index + chunk.length < words.length &&
+    words[index + chunk.length].sentence === words[index].sentence
+  ) {
+    chunk.push(words[index + chunk.length]);
+  }
+  return chunk;
+}
+
+/**
+ * Report the chunk at the current index
+ * @returns {Array<Object>} The chunk
+ */
+function showChunk() {
+  const chunk = currentChunk();
+  const text = chunk.map((word) => word.text).join(' ');
+  onChunk?.({ text, pivot: recognitionPoint(text), index, total: words.length });
+  return chunk;
+}
+
+/**
+ * Move past a chunk once it has been shown long enough
+ * @param {Array<Object>} chunk - Chunk being shown
+ */
+function scheduleNext(chunk) {
+  clearTimeout(timer);
+  timer = setTimeout(() => {
+    if (index + chunk.length >= words.length) {
+      pauseRsvp();
+      onFinish?.();
+      return;
+    }
+
+    index += chunk.length;
+    scheduleNext(showChunk());
+  }, chunkDelay(chunk));
+}
+
+/**
+ * How long to show a chunk
+ * @param {Array<Object>} chunk
+ * @returns {number} Milliseconds
+ */
+function chunkDelay(chunk) {
+  const last = chunk[chunk.length - 1];
+  const next = words[index + chunk.length];
+  let factor = 1;
+
+  if (!next || next.sentence !== last.sentence) {
+    factor = SENTENCE_PAUSE;
+  } else if (/[,;:–—]["'”’)\]]*$/.test(last.text)) {
+    factor = CLAUSE_PAUSE;
+  } else if (chunk.some((word) => word.text.length >= LONG_WORD_LENGTH)) {
+    factor = LONG_WORD_PAUSE;
+  }
+
+  return (60000 / options.wordsPerMinute) * chunk.length * factor;
+}
+
+/**
+ * Record whether playback is running and report it
+ * @param {boolean} value
+ */
+function setPlaying(value) {
+  playing = value;
+  onStateChange?.(playing);
+}
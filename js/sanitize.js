@@ -0,0 +1,203 @@
+/**
+ * ZenReader - HTML Sanitizer
+ * Allowlist filter for article HTML before it is put into the page
+ *
+ * Saved articles come from arbitrary websites, and the markdown renderer lets
+ * raw <a> and <img> tags through. Anything not listed here is removed:
+ * unknown elements are unwrapped (their text is kept), dangerous ones are
+ * dropped with their content, and every attribute and URL is checked. IDs and
+ * in-page links are namespaced so they never match the app's own IDs.
+ */
+
+import { articleId } from './markdown.js';
+
+// Elements kept, with the attributes each may carry
+const ALLOWED_TAGS = {
+  a: ['href', 'title', 'id', 'class', 'aria-label'],
+  blockquote: [],
+  br: [],
+  code: ['class'],
+  del: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+  hr: [],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  li: ['class', 'id'],
+  ol: ['start', 'class'],
+  p: [],
+  pre: [],
+  s: [],
+  section: ['class'],
+  strong: [],
+  sub: [],
+  sup: ['class'],
+  table: [],
+  tbody: [],
+  td: ['align'],
+  th: ['align'],
+  thead: [],
+  tr: [],
+  ul: ['class']
+};
+
+// Elements removed together with everything inside them
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'template', 'noscript', 'svg', 'math', 'form', 'input', 'textarea', 'select',
+  'button', 'link', 'meta', 'base', 'audio', 'video', 'canvas'
+]);
+
+// URL schemes allowed per attribute; relative URLs resolve against the app
+const ALLOWED_SCHEMES = {
+  href: ['http:', 'https:', 'mailto:'],
+  src: ['http:', 'https:']
+};
+
+// Classes the renderer emits
+const ALLOWED_CLASSES = /^(?:language-[\w+#.-]+|task-list-item|contains-task-list|footnotes|footnote-ref|footnote-backref)$/;
+
+/**
+ * Sanitize an HTML string
+ * @param {string} html - Untrusted HTML
+ * @returns {string} HTML with only allowed elements, attributes and URLs
+ */
+export function sanitizeHtml(html) {
+  // Template content is inert: nothing loads or runs while it is parsed
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+
+  sanitizeChildren(template.content);
+  return template.innerHTML;
+}
+
+/**
+ * Sanitize the children of a node in place
+ * @param {Node} parent
+ */
+function sanitizeChildren(parent) {
+  [...parent.childNodes].forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    const tag = node.localName;
+
+    // Task list checkboxes are the only form control articles keep
+    if (tag === 'input' && isTaskCheckbox(node)) {
+      sanitizeAttributes(node, ALLOWED_TAGS.input);
+      node.setAttribute('disabled', '');
+      return;
+    }
+
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node);
+
+    if (!ALLOWED_TAGS[tag]) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    sanitizeAttributes(node, ALLOWED_TAGS[tag]);
+
+    // Links to other pages open in a new tab; in-page anchors stay put
+    if (tag === 'a' && node.hasAttribute('href') && !node.getAttribute('href').startsWith('#')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+    if (tag === 'img') {
+      node.setAttribute('loading', 'lazy');
+    }
+  });
+}
+
+/**
+ * Remove every attribute that is not allowed or whose value is unsafe
+ * @param {Element} element
+ * @param {Array<string>} allowed - Attribute names allowed on this element
+ */
+function sanitizeAttributes(element, allowed) {
+  [...element.attributes].forEach(({ name, value }) => {
+    if (!allowed.includes(name) || !isSafeValue(name, value)) {
+      element.removeAttribute(name);
+    }
+  });
+
+  if (element.hasAttribute('id')) {
+    element.id = articleId(element.id);
+  }
+
+  const href = element.getAttribute('href');
+  if (href && href.length > 1 && href.startsWith('#')) {
+    element.setAttribute('href', `#${articleId(href.slice(1))}`);
+  }
+
+  if (element.hasAttribute('class')) {
+    const classes = element.getAttribute('class').split(/\s+/).filter((name) => ALLOWED_CLASSES.test(name));
+    if (classes.length > 0) {
+      element.setAttribute('class', classes.join(' '));
+    } else {
+      element.removeAttribute('class');
+    }
+  }
+}
+
+/**
+ * Check an attribute value
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {boolean}
+ */
+function isSafeValue(name, value) {
+  if (ALLOWED_SCHEMES[name]) return isSafeUrl(value, ALLOWED_SCHEMES[name]);
+
+  switch (name) {
+    case 'align':
+      return ['left', 'center', 'right'].includes(value);
+    case 'start':
+    case 'width':
+    case 'height':
+      return /^\d{1,9}$/.test(value);
+    case 'type':
+      return value === 'checkbox';
+    case 'id':
+      return /^[\p{L}\p{N}_:-]+$/u.test(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check that a URL uses an allowed scheme
+ * In-page anchors (#id) are always allowed
+ * @param {string} value - URL as written
+ * @param {Array<string>} schemes - Allowed protocols, with the colon
+ * @returns {boolean}
+ */
+function isSafeUrl(value, schemes) {
+  if (value.startsWith('#')) return true;
+
+  try {
+    return schemes.includes(new URL(value, document.baseURI).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether an input is a task list checkbox
+ * @param {Element} input
+ * @returns {boolean}
+ */
+function isTaskCheckbox(input) {
+  return input.getAttribute('type') === 'checkbox' && input.parentElement?.localName === 'li';
+}
@@ -0,0 +1,242 @@
+/**
+ * ZenReader - Search Module
+ * Local full-text index and ranking, works entirely offline
+ *
+ * Each article gets one index entry holding its plain text and term counts.
+ * Queries are ranked with BM25, with title matches weighted above body
+ * matches. The last query word matches as a prefix so results update while
+ * typing.
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Title matches count this many times a body match
+const TITLE_WEIGHT = 3;
+
+// Characters of context shown around the first match
+const SNIPPET_LENGTH = 180;
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into',
+  'is', 'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then',
+  'there', 'these', 'they', 'this', 'to', 'was', 'will', 'with'
+]);
+
+/**
+ * Split text into normalized search terms
+ * Lowercases and strips diacritics so "Café" matches "cafe"
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms, in order, stop words removed
+ */
+export function tokenize(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+  return words.filter((word) => !STOP_WORDS.has(word));
+}
+
+/**
+ * Strip markdown syntax, leaving readable text
+ * @param {string} markdown - Article markdown
+ * @returns {string} Plain text
+ */
+export function markdownToText(markdown) {
+  return (markdown || '')
+    .replace(/```[^\n]*\n/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[\^[^\]\s]+\]:?/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|?)+[ \t]*$/gm, '')
+    .replace(/[ \t]*\|[ \t]*/g, ' ')
+    .replace(/[*_`~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the index entry for an article
+ * @param {number} articleId - Article ID
+ * @param {string} title - Article title
+ * @param {string} markdown - Article markdown
+ * @returns {Object} { articleId, text, length, terms, titleTerms }
+ */
+export function buildIndexEntry(articleId, title, markdown) {
+  const text = markdownToText(markdown);
+  const words = tokenize(text);
+
+  return {
+    articleId,
+    text,
+    length: words.length,
+    terms: countTerms(words),
+    titleTerms: countTerms(tokenize(title))
+  };
+}
+
+/**
+ * Rank index entries against a query
+ * Every query word has to match, in the title or the body
+ * @param {string} query - Search query
+ * @param {Array<Object>} entries - Index entries from buildIndexEntry
+ * @returns {Array<Object>} { articleId, score, snippet } best first; snippet is a list
+ *   of { text, match } segments
+ */
+export function searchIndex(query, entries) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || entries.length === 0) return [];
+
+  // Search-as-you-type: the word being typed matches as a prefix
+  const prefix = /[\p{L}\p{N}]$/u.test(query) ? queryTerms[queryTerms.length - 1] : null;
+
+  const averageLength = entries.reduce((total, entry) => total + entry.length, 0) / entries.length || 1;
+  const results = [];
+
+  // Document frequency per query term, for IDF
+  const documentFrequency = queryTerms.map((term) => (
+    entries.filter((entry) => termCount(entry.terms, term, term === prefix) > 0 ||
+      termCount(entry.titleTerms, term, term === prefix) > 0).length
+  ));
+
+  for (const entry of entries) {
+    let score = 0;
+    let matchedAll = true;
+
+    queryTerms.forEach((term, index) => {
+      const isPrefix = term === prefix;
+      const frequency = termCount(entry.terms, term, isPrefix) +
+        TITLE_WEIGHT * termCount(entry.titleTerms, term, isPrefix);
+
+      if (frequency === 0) {
+        matchedAll = false;
+        return;
+      }
+
+      const idf = Math.log(1 + (entries.length - documentFrequency[index] + 0.5) / (documentFrequency[index] + 0.5));
+      const norm = frequency + K1 * (1 - B + B * (entry.length / averageLength));
+      score += idf * ((frequency * (K1 + 1)) / norm);
+    });
+
+    if (matchedAll) {
+      results.push({
+        articleId: entry.articleId,
+        score,
+        snippet: buildSnippet(entry.text, queryTerms)
+      });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Count words into a term frequency map
+ * @param {Array<string>} words
+ * @returns {Object} term -> count
+ */
+function countTerms(words) {
+  const counts = {};
+  words.forEach((word) => {
+    counts[word] = (counts[word] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Look up a term's frequency, summing over prefix matches if asked
+ * @param {Object} terms - Term frequency map
+ * @param {string} term - Query term
+ * @param {boolean} isPrefix - Whether to match longer terms starting with it
+ * @returns {number}
+ */
+function termCount(terms, term, isPrefix) {
+  if (!isPrefix) return terms[term] || 0;
+
+  let count = 0;
+  for (const [candidate, frequency] of Object.entries(terms)) {
+    if (candidate.startsWith(term)) count += frequency;
+  }
+  return count;
+}
+
+/**
+ * Cut a window of text around the first match and mark every match in it
+ * @param {string} text - Article plain text
+ * @param {Array<string>} queryTerms - Normalized query terms
+ * @returns {Array<Object>} { text, match } segments
+ */
+function buildSnippet(text, queryTerms) {
+  // Match on a folded copy of the same length so offsets carry over to the original
+  const folded = foldText(text);
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${queryTerms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`,
+    'gu'
+  );
+
+  const first = pattern.exec(folded);
+  let start = 0;
+  if (first) {
+    start = Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3));
+    // Begin on a word boundary
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space === -1 || space > first.index ? start : space + 1;
+    }
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const segments = [];
+  if (start > 0) segments.push({ text: '…', match: false });
+
+  let cursor = start;
+  pattern.lastIndex = start;
+  let match;
+  while ((match = pattern.exec(folded)) && match.index < end) {
+    if (match.index > cursor) {
+      segments.push({ text: text.slice(cursor, match.index), match: false });
+    }
+    const matchEnd = Math.min(end, match.index + match[0].length);
+    segments.push({ text: text.slice(match.index, matchEnd), match: true });
+    cursor = matchEnd;
+  }
+  if (cursor < end) {
+    segments.push({ text: text.slice(cursor, end), match: false });
+  }
+
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+/**
+ * Lowercase and strip diacritics one character at a time
+ * Keeps every offset aligned with the original text, for highlighting
+ * @param {string} text
+ * @returns {string}
+ */
+function foldText(text) {
+  return text.replace(/[^a-z0-9 ]/g, (char) => {
+    const folded = char.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+    return folded.length === 1 ? folded : char;
+  });
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,341 @@
+/**
+ * ZenReader - Listening Mode
+ * Reads the article aloud sentence by sentence with the Web Speech API
+ *
+ * Each sentence is spoken as its own utterance, which keeps long articles
+ * clear of the engines' utterance length limits and tells us exactly which
+ * sentence is playing. Sentences are stored as character offsets within their
+ * block rather than as ranges, so they survive highlights being redrawn.
+ */
+
+import { isPaged, getCurrentPage, pageSpan } from './pages.js';
+
+// Elements whose text is read as a unit; sentences never cross them
+const SENTENCE_BLOCKS = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, figcaption, td, th';
+
+// Content that is not read aloud
+const SILENT_CONTENT = 'pre, .code-block, .footnote-ref, .footnotes, button';
+
+// Playback state
+let sentences = [];
+let currentIndex = -1;
+let playing = false;
+let options = { voiceURI: '', rate: 1, lang: '' };
+
+// Incremented for every utterance, so events from cancelled ones are ignored
+let utteranceId = 0;
+
+// Callbacks
+let onSentence = null;
+let onStateChange = null;
+let onFinish = null;
+
+/**
+ * Whether the browser can speak
+ * @returns {boolean}
+ */
+export function isSpeechSupported() {
+  return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+/**
+ * Set the listening callbacks
+ * @param {Object} callbacks - { onSentence(index, sentence), onStateChange(playing), onFinish() }
+ */
+export function initSpeech(callbacks = {}) {
+  onSentence = callbacks.onSentence || null;
+  onStateChange = callbacks.onStateChange || null;
+  onFinish = callbacks.onFinish || null;
+}
+
+/**
+ * List the installed voices, those for a language first
+ * @param {string} lang - Preferred language, e.g. "en" or "en-GB"
+ * @returns {Array<SpeechSynthesisVoice>}
+ */
+export function getVoices(lang = '') {
+  if (!isSpeechSupported()) return [];
+
+  const base = lang.split('-')[0].toLowerCase();
+  const matches = (voice) => Boolean(base) && voice.lang.toLowerCase().split(/[-_]/)[0] === base;
+
+  return [...window.speechSynthesis.getVoices()].sort((a, b) => (
+    Number(matches(b)) - Number(matches(a)) || a.name.localeCompare(b.name)
+  ));
+}
+
+// ========================================
+// Sentences
+// ========================================
+
+/**
+ * Split rendered article content into sentences
+ * @param {HTMLElement} container - Rendered article content
+ * @param {string} lang - Article language, used to find sentence boundaries
+ * @returns {Array<Object>} { block, start, end, text } in reading order; offsets count the block's own text
+ */
+export function collectSentences(container, lang = '') {
+  const result = [];
+  const lengths = new Map();
+
+  // A run is consecutive text in one block; a nested list or quote ends it
+  let run = null;
+  const flush = () => {
+    if (run) result.push(...splitSentences(run.text, lang).map(([start, end]) => ({
+      block: run.block,
+      start: run.offset + start,
+      end: run.offset + end,
+      text: run.text.slice(start, end).replace(/\s+/g, ' ')
+    })));
+    run = null;
+  };
+
+  ownTextNodes(container).forEach(({ node, block }) => {
+    if (!run || run.block !== block) {
+      flush();
+      run = { block, offset: lengths.get(block) || 0, text: '' };
+    }
+    run.text += node.data;
+    lengths.set(block, (lengths.get(block) || 0) + node.data.length);
+  });
+  flush();
+
+  return result;
+}
+
+/**
+ * Build a range covering a sentence
+ * @param {Object} sentence - Sentence from collectSentences
+ * @returns {Range|null} null if the sentence's text is no longer in the page
+ */
+export function sentenceRange(sentence) {
+  const range = document.createRange();
+  let offset = 0;
+  let started = false;
+
+  for (const { node } of ownTextNodes(sentence.block, sentence.block)) {
+    const length = node.data.length;
+
+    if (!started && sentence.start < offset + length) {
+      range.setStart(node, sentence.start - offset);
+      started = true;
+    }
+    if (started && sentence.end <= offset + length) {
+      range.setEnd(node, sentence.end - offset);
+      return range;
+    }
+    offset += length;
+  }
+
+  return null;
+}
+
+/**
+ * Find the first sentence showing on screen, or on the current page
+ * @param {Array<Object>} list - Sentences from collectSentences
+ * @returns {number} Index of the sentence, 0 if none is showing
+ */
+export function firstVisibleSentence(list) {
+  const showing = isPaged()
+    ? (block) => pageSpan(block)[1] >= getCurrentPage()
+    : (block) => block.getBoundingClientRect().bottom > 0;
+
+  const index = list.findIndex((sentence) => showing(sentence.block));
+  return Math.max(index, 0);
+}
+
+/**
+ * Find where sentences start and end in a block of text
+ * @param {string} text
+ * @param {string} lang
+ * @returns {Array<Array<number>>} [start, end] pairs, trimmed of surrounding whitespace
+ */
+function splitSentences(text, lang) {
+  let segments;
+
+  if (typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(lang || undefined, { granularity: 'sentence' });
+    segments = [...segmenter.segment(text)].map(({ segment, index }) => [index, index + segment.length]);
+  } else {
+    // End at terminal punctuation followed by whitespace, keeping closing quotes
+    segments = [...text.matchAll(/[^]*?(?:[.!?…]+["'”’)\]]*(?=\s)|$)/g)]
+      .filter((match) => match[0])
+      .map((match) => [match.index, match.index + match[0].length]);
+  }
+
+  return segments
+    .map(([start, end]) => {
+      const segment = text.slice(start, end);
+      return [start + (segment.length - segment.trimStart().length), end - (segment.length - segment.trimEnd().length)];
+    })
+    .filter(([start, end]) => /[\p{L}\p{N}]/u.test(text.slice(start, end)));
+}
+
+/**
+ * List the text nodes that are read, each with the block it belongs to
+ * @param {HTMLElement} root - Element to search
+ * @param {HTMLElement} [block] - Only text belonging to this block
+ * @returns {Array<Object>} { node, block } in document order
+ */
+function ownTextNodes(root, block = null) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const parent = node.parentElement;
+    if (!parent || parent.closest(SILENT_CONTENT)) continue;
+
+    const owner = parent.closest(SENTENCE_BLOCKS);
+    if (!owner || !root.contains(owner) || (block && owner !== block)) continue;
+
+    nodes.push({ node, block: owner });
+  }
+
+  return nodes;
+}
+
+// ========================================
+// Playback
+// ========================================
+
+/**
+ * Start reading sentences aloud
+ * @param {Array<Object>} list - Sentences from collectSentences
+ * @param {number} index - Sentence to start from
+ * @param {Object} speechOptions - { voiceURI, rate, lang }
+ */
+export function startSpeech(list, index, speechOptions = {}) {
+  sentences = list;
+  options = { ...options, ...speechOptions };
+  currentIndex = Math.min(Math.max(index, 0), sentences.length - 1);
+  if (currentIndex < 0) return;
+
+  setPlaying(true);
+  speakCurrent();
+}
+
+/**
+ * Pause reading; resuming starts the current sentence again
+ */
+export function pauseSpeech() {
+  if (!playing) return;
+  cancelUtterance();
+  setPlaying(false);
+}
+
+/**
+ * Resume reading from the current sentence
+ */
+export function resumeSpeech() {
+  if (playing || currentIndex < 0) return;
+  setPlaying(true);
+  speakCurrent();
+}
+
+/**
+ * Move to a neighbouring sentence
+ * While paused, the new sentence is marked but not read
+ * @param {number} step - -1 for the previous sentence, 1 for the next
+ */
+export function skipSentence(step) {
+  if (currentIndex < 0) return;
+
+  currentIndex = Math.min(Math.max(currentIndex + step, 0), sentences.length - 1);
+  if (playing) {
+    speakCurrent();
+  } else {
+    onSentence?.(currentIndex, sentences[currentIndex]);
+  }
+}
+
+/**
+ * Change the voice or rate; a sentence being read starts over with them
+ * @param {Object} speechOptions - { voiceURI, rate }
+ */
+export function setSpeechOptions(speechOptions) {
+  options = { ...options, ...speechOptions };
+  if (playing) speakCurrent();
+}
+
+/**
+ * Stop reading and forget the sentences
+ */
+export function stopSpeech() {
+  if (currentIndex < 0 && !playing) return;
+
+  cancelUtterance();
+  sentences = [];
+  currentIndex = -1;
+  setPlaying(false);
+}
+
+/**
+ * Whether a listening session is open, playing or paused
+ * @returns {boolean}
+ */
+export function isListening() {
+  return currentIndex >= 0;
+}
+
+/**
+ * Whether sentences are being read right now
+ * @returns {boolean}
+ */
+export function isSpeaking() {
+  return playing;
+}
+
+/**
+ * Read the current sentence, then carry on with the next
+ */
+function speakCurrent() {
+  cancelUtterance();
+
+  const id = utteranceId;
+  const sentence = sentences[currentIndex];
+  const utterance = new SpeechSynthesisUtterance(sentence.text);
+  const voice = window.speechSynthesis.getVoices().find((entry) => entry.voiceURI === options.voiceURI);
+
+  if (voice) utterance.voice = voice;
+  utterance.lang = voice?.lang || options.lang || '';
+  utterance.rate = options.rate;
+
+  utterance.addEventListener('end', () => {
+    if (id !== utteranceId) return;
+
+    if (currentIndex < sentences.length - 1) {
+      currentIndex++;
+      speakCurrent();
+    } else {
+      stopSpeech();
+      onFinish?.();
+    }
+  });
+
+  utterance.addEventListener('error', (e) => {
+    if (id !== utteranceId || e.error === 'interrupted' || e.error === 'canceled') return;
+    console.error('Speech failed:', e.error);
+    pauseSpeech();
+  });
+
+  onSentence?.(currentIndex, sentence);
+  window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * Silence the utterance being read, if any
+ */
+function cancelUtterance() {
+  utteranceId++;
+  window.speechSynthesis.cancel();
+}
+
+/**
+ * Record whether reading is playing and report it
+ * @param {boolean} value
+ */
+function setPlaying(value) {
+  playing = value;
+  onStateChange?.(playing);
+}
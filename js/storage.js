@@ -3,6 +3,8 @@
  * Uses Dexie.js for metadata and OPFS for markdown files
  */
 
+import { buildIndexEntry, searchIndex } from './search.js';
+
 // Initialize Dexie database
 const db = new Dexie('ZenReaderDB');
 
@@ -11,6 +13,41 @@ db.version(1).stores({
   settings: 'key'
 });
 
+// Full-text search index, one entry per article
+db.version(2).stores({
+  searchIndex: 'articleId'
+});
+
+// Tags: many-to-many through each article's tagIds (multi-entry index)
+db.version(3).stores({
+  articles: '++id, title, url, siteName, addedAt, readAt, isRead, *tagIds',
+  tags: '++id, &key, name'
+}).upgrade((tx) => tx.table('articles').toCollection().modify((article) => {
+  article.tagIds = article.tagIds || [];
+}));
+
+// Read-it-later states: every article is in the inbox or the archive, favorites cut across both
+db.version(4).stores({
+  articles: '++id, title, url, siteName, addedAt, readAt, isRead, status, *tagIds'
+}).upgrade((tx) => tx.table('articles').toCollection().modify((article) => {
+  article.status = article.status || 'inbox';
+  article.isFavorite = Boolean(article.isFavorite);
+  article.archivedAt = article.archivedAt || null;
+}));
+
+// Highlights: text quote anchors with a color and an optional note
+db.version(5).stores({
+  highlights: '++id, articleId, createdAt'
+});
+
+// Clips: quotes copied out of articles into the notebook
+db.version(6).stores({
+  clips: '++id, articleId, createdAt'
+});
+
+// Index entries kept in memory between searches; null when stale
+let searchIndexCache = null;
+
 // ========================================
 // OPFS (Origin Private File System) Helpers
 // ========================================
@@ -44,7 +81,7 @@ async function saveArticleContent(id, markdown) {
  * @param {number} id - Article ID
  * @returns {Promise<string>} Article markdown content
  */
-async function getArticleContent(id) {
+export async function getArticleContent(id) {
   try {
     const dir = await getArticlesDirectory();
     const fileName = `${id}.md`;
@@ -71,6 +108,66 @@ async function deleteArticleContent(id) {
   }
 }
 
+/**
+ * Get an article's image directory handle from OPFS
+ * Images live under images/{id}/ so they can be removed together
+ * @param {number} id - Article ID
+ * @param {boolean} create - Whether to create the directories if they don't exist
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+async function getImagesDirectory(id, create = false) {
+  const root = await navigator.storage.getDirectory();
+  const images = await root.getDirectoryHandle('images', { create });
+  return images.getDirectoryHandle(String(id), { create });
+}
+
+/**
+ * Save an archived image to OPFS
+ * @param {number} id - Article ID
+ * @param {string} fileName - File name within the article's image directory
+ * @param {Blob} blob - Image data
+ */
+export async function saveArticleImage(id, fileName, blob) {
+  const dir = await getImagesDirectory(id, true);
+  const fileHandle = await dir.getFileHandle(fileName, { create: true });
+  const writable = await fileHandle.createWritable();
+  await writable.write(blob);
+  await writable.close();
+}
+
+/**
+ * Get an archived image from OPFS
+ * @param {number} id - Article ID
+ * @param {string} fileName - File name within the article's image directory
+ * @returns {Promise<File|null>} Image file, or null if missing
+ */
+export async function getArticleImage(id, fileName) {
+  try {
+    const dir = await getImagesDirectory(id);
+    const fileHandle = await dir.getFileHandle(fileName);
+    return await fileHandle.getFile();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete all archived images of an article from OPFS
+ * @param {number} id - Article ID
+ */
+async function deleteArticleImages(id) {
+  try {
+    const root = await navigator.storage.getDirectory();
+    const images = await root.getDirectoryHandle('images');
+    await images.removeEntry(String(id), { recursive: true });
+  } catch (error) {
+    // Most articles have no archived images
+    if (error.name !== 'NotFoundError') {
+      console.warn('Could not delete article images:', error);
+    }
+  }
+}
+
 // ========================================
 // Article Operations
 // ========================================
@@ -91,18 +188,35 @@ export async function addArticle(metadata, markdown) {
     title: metadata.title || 'Untitled',
     url: metadata.url,
     author: metadata.author || null,
+    authors: metadata.authors || [],
     siteName: metadata.siteName || null,
     excerpt: metadata.excerpt || '',
+    publishedTime: metadata.publishedTime || null,
+    modifiedTime: metadata.modifiedTime || null,
+    leadImage: metadata.leadImage || null,
+    language: metadata.language || null,
+    canonicalUrl: metadata.canonicalUrl || null,
+    keywords: metadata.keywords || [],
+    sourceType: metadata.sourceType || 'html',
+    tagIds: await resolveTagIds(metadata.tags || []),
+    images: {},
+    imageBytes: 0,
     wordCount,
     estimatedReadTime,
     addedAt: Date.now(),
     readAt: null,
     isRead: false,
-    progress: 0
+    status: 'inbox',
+    isFavorite: false,
+    archivedAt: null,
+    progress: 0,
+    readingPosition: null,
+    listeningPosition: null
   });
 
   // Save content to OPFS
   await saveArticleContent(id, markdown);
+  await indexArticle(id, metadata.title || 'Untitled', markdown);
 
   return id;
 }
@@ -141,6 +255,11 @@ export async function getArticle(id) {
  */
 export async function updateArticle(id, updates) {
   await db.articles.update(id, updates);
+
+  // Titles are indexed too
+  if (updates.title !== undefined) {
+    await indexArticle(id, updates.title, await getArticleContent(id));
+  }
 }
 
 /**
@@ -151,31 +270,348 @@ export async function deleteArticle(id) {
   const article = await db.articles.get(id);
   if (!article) return;
 
-  // Delete content from OPFS
+  // Delete content and archived images from OPFS
   await deleteArticleContent(id);
+  await deleteArticleImages(id);
 
   // Delete from database
   await db.articles.delete(id);
+  await db.searchIndex.delete(id);
+  await db.highlights.where('articleId').equals(id).delete();
+  await db.clips.where('articleId').equals(id).delete();
+  searchIndexCache = null;
 }
 
 /**
  * Mark article as read
  * @param {number} id - Article ID
+ * @param {Object} options - Optional { archive } to also move it to the archive
  */
-export async function markAsRead(id) {
-  await db.articles.update(id, {
+export async function markAsRead(id, options = {}) {
+  const updates = {
     isRead: true,
     readAt: Date.now()
+  };
+
+  if (options.archive) {
+    updates.status = 'archived';
+    updates.archivedAt = Date.now();
+  }
+
+  await db.articles.update(id, updates);
+}
+
+/**
+ * Move an article between the inbox and the archive
+ * @param {number} id - Article ID
+ * @param {string} status - 'inbox' or 'archived'
+ */
+export async function setArticleStatus(id, status) {
+  if (!['inbox', 'archived'].includes(status)) {
+    throw new Error(`Unknown article status: ${status}`);
+  }
+
+  await db.articles.update(id, {
+    status,
+    archivedAt: status === 'archived' ? Date.now() : null
   });
 }
 
+/**
+ * Add or remove an article from favorites
+ * @param {number} id - Article ID
+ * @param {boolean} favorite - Whether the article is a favorite
+ */
+export async function setFavorite(id, favorite) {
+  await db.articles.update(id, { isFavorite: favorite });
+}
+
 /**
  * Update reading progress
  * @param {number} id - Article ID
  * @param {number} progress - Progress percentage (0-100)
+ * @param {Object|null} position - Optional { block, offset } to resume reading from
+ */
+export async function updateProgress(id, progress, position = null) {
+  const updates = { progress };
+  if (position) updates.readingPosition = position;
+  await db.articles.update(id, updates);
+}
+
+// ========================================
+// Tags
+// ========================================
+
+/**
+ * Clean up a tag name for display
+ * Commas separate tags in inputs, so they can't be part of a name
+ * @param {string} name - Tag name as typed
+ * @returns {string} Cleaned name
+ */
+function cleanTagName(name) {
+  return name.replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a tag name for comparison
+ * @param {string} name - Tag name
+ * @returns {string} Lookup key
+ */
+function tagKey(name) {
+  return cleanTagName(name).toLowerCase();
+}
+
+/**
+ * Find or create tags by name
+ * @param {Array<string>} names - Tag names, compared case-insensitively
+ * @returns {Promise<Array<number>>} Tag IDs, without duplicates
+ */
+async function resolveTagIds(names) {
+  const ids = [];
+
+  for (const name of names) {
+    const key = tagKey(name);
+    if (!key) continue;
+
+    const existing = await db.tags.get({ key });
+    const id = existing ? existing.id : await db.tags.add({ key, name: cleanTagName(name) });
+    if (!ids.includes(id)) ids.push(id);
+  }
+
+  return ids;
+}
+
+/**
+ * Get all tags with the number of articles using each
+ * @returns {Promise<Array>} { id, name, count } sorted by name
+ */
+export async function getAllTags() {
+  const tags = await db.tags.orderBy('key').toArray();
+
+  return Promise.all(tags.map(async (tag) => ({
+    id: tag.id,
+    name: tag.name,
+    count: await db.articles.where('tagIds').equals(tag.id).count()
+  })));
+}
+
+/**
+ * Get the names of an article's tags
+ * @param {number} articleId - Article ID
+ * @returns {Promise<Array<string>>} Tag names
+ */
+export async function getArticleTags(articleId) {
+  const article = await db.articles.get(articleId);
+  if (!article) return [];
+
+  const tags = await db.tags.bulkGet(article.tagIds || []);
+  return tags.filter(Boolean).map((tag) => tag.name);
+}
+
+/**
+ * Replace an article's tags
+ * @param {number} articleId - Article ID
+ * @param {Array<string>} names - Tag names; new names create tags
+ */
+export async function setArticleTags(articleId, names) {
+  await db.transaction('rw', db.articles, db.tags, async () => {
+    await db.articles.update(articleId, { tagIds: await resolveTagIds(names) });
+  });
+}
+
+/**
+ * Rename a tag
+ * Renaming to the name of another tag merges the two
+ * @param {number} id - Tag ID
+ * @param {string} name - New name
+ */
+export async function renameTag(id, name) {
+  const key = tagKey(name);
+  if (!key) {
+    throw new Error('Tag name cannot be empty');
+  }
+
+  const existing = await db.tags.get({ key });
+  if (existing && existing.id !== id) {
+    await mergeTags(id, existing.id);
+    return;
+  }
+
+  await db.tags.update(id, { key, name: cleanTagName(name) });
+}
+
+/**
+ * Merge one tag into another
+ * Articles tagged with the source get the target instead, then the source is deleted
+ * @param {number} sourceId - Tag to merge away
+ * @param {number} targetId - Tag to keep
+ */
+export async function mergeTags(sourceId, targetId) {
+  if (sourceId === targetId) return;
+
+  await db.transaction('rw', db.articles, db.tags, async () => {
+    await db.articles.where('tagIds').equals(sourceId).modify((article) => {
+      article.tagIds = article.tagIds.filter((tagId) => tagId !== sourceId);
+      if (!article.tagIds.includes(targetId)) article.tagIds.push(targetId);
+    });
+    await db.tags.delete(sourceId);
+  });
+}
+
+/**
+ * Delete a tag and remove it from every article
+ * @param {number} id - Tag ID
+ */
+export async function deleteTag(id) {
+  await db.transaction('rw', db.articles, db.tags, async () => {
+    await db.articles.where('tagIds').equals(id).modify((article) => {
+      article.tagIds = article.tagIds.filter((tagId) => tagId !== id);
+    });
+    await db.tags.delete(id);
+  });
+}
+
+// ========================================
+// Highlights
+// ========================================
+
+/**
+ * Get an article's highlights in reading order
+ * @param {number} articleId - Article ID
+ * @returns {Promise<Array>} Highlights sorted by position in the text
+ */
+export async function getHighlights(articleId) {
+  const highlights = await db.highlights.where('articleId').equals(articleId).toArray();
+  return highlights.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Save a new highlight
+ * @param {number} articleId - Article ID
+ * @param {Object} anchor - Text quote { exact, prefix, suffix, position }
+ * @param {Object} options - Optional { color, note }
+ * @returns {Promise<number>} The new highlight ID
+ */
+export async function addHighlight(articleId, anchor, options = {}) {
+  return db.highlights.add({
+    articleId,
+    exact: anchor.exact,
+    prefix: anchor.prefix,
+    suffix: anchor.suffix,
+    position: anchor.position,
+    color: options.color || 'yellow',
+    note: options.note || '',
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * Update a highlight's color or note
+ * @param {number} id - Highlight ID
+ * @param {Object} updates - { color?, note? }
  */
-export async function updateProgress(id, progress) {
-  await db.articles.update(id, { progress });
+export async function updateHighlight(id, updates) {
+  await db.highlights.update(id, { ...updates, updatedAt: Date.now() });
+}
+
+/**
+ * Delete a highlight
+ * @param {number} id - Highlight ID
+ */
+export async function deleteHighlight(id) {
+  await db.highlights.delete(id);
+}
+
+// ========================================
+// Clips
+// ========================================
+
+/**
+ * Get every clip in the library
+ * @returns {Promise<Array>} Clips, newest first
+ */
+export async function getAllClips() {
+  return db.clips.orderBy('createdAt').reverse().toArray();
+}
+
+/**
+ * Save a quote clipped from an article
+ * @param {number} articleId - Article ID
+ * @param {Object} anchor - Text quote { exact, prefix, suffix, position }
+ * @returns {Promise<number>} The new clip ID
+ */
+export async function addClip(articleId, anchor) {
+  return db.clips.add({
+    articleId,
+    exact: anchor.exact,
+    prefix: anchor.prefix,
+    suffix: anchor.suffix,
+    position: anchor.position,
+    createdAt: Date.now()
+  });
+}
+
+/**
+ * Delete a clip
+ * @param {number} id - Clip ID
+ */
+export async function deleteClip(id) {
+  await db.clips.delete(id);
+}
+
+// ========================================
+// Search
+// ========================================
+
+/**
+ * Add or refresh an article's search index entry
+ * @param {number} id - Article ID
+ * @param {string} title - Article title
+ * @param {string} markdown - Article content as markdown
+ */
+async function indexArticle(id, title, markdown) {
+  await db.searchIndex.put(buildIndexEntry(id, title, markdown));
+  searchIndexCache = null;
+}
+
+/**
+ * Index articles saved before search existed, or whose entry went missing
+ * Reads each missing article's markdown from OPFS
+ * @returns {Promise<number>} Number of articles indexed
+ */
+export async function rebuildSearchIndex() {
+  const indexed = new Set(await db.searchIndex.toCollection().primaryKeys());
+  const missing = (await db.articles.toArray()).filter((article) => !indexed.has(article.id));
+
+  for (const article of missing) {
+    try {
+      await indexArticle(article.id, article.title, await getArticleContent(article.id));
+    } catch (error) {
+      console.warn(`Could not index article ${article.id}:`, error);
+    }
+  }
+
+  return missing.length;
+}
+
+/**
+ * Search the library
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Matching articles, best first, each with a snippet
+ *   of { text, match } segments
+ */
+export async function searchArticles(query) {
+  if (!searchIndexCache) {
+    searchIndexCache = await db.searchIndex.toArray();
+  }
+
+  const results = searchIndex(query, searchIndexCache);
+  const articles = await db.articles.bulkGet(results.map((result) => result.articleId));
+
+  return results
+    .map((result, index) => articles[index] && { ...articles[index], snippet: result.snippet })
+    .filter(Boolean);
 }
 
 // ========================================
@@ -0,0 +1,550 @@
+/**
+ * ZenReader - Syntax Highlighting
+ * Colors code blocks in the reader, without loading anything from the network
+ *
+ * Each language is a list of token rules tried in order at every position,
+ * plus word lists for keywords, literals and built-ins. It is a lexer, not a
+ * parser: good enough to make code readable, and small enough to ship with
+ * the app. Blocks in unknown languages keep their plain text but still get
+ * line numbers and a copy button.
+ */
+
+// ========================================
+// Shared Rules
+// ========================================
+
+const C_COMMENTS = [
+  ['comment', /\/\/.*/y],
+  ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]
+];
+
+const HASH_COMMENT = ['comment', /#.*/y];
+
+const DOUBLE_QUOTED = ['string', /"(?:[^"\\\n]|\\.)*"?/y];
+const SINGLE_QUOTED = ['string', /'(?:[^'\\\n]|\\.)*'?/y];
+
+const NUMBER = /(?:0x[\da-f_]+|0b[01_]+|0o[0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:e[+-]?\d+)?)(?:[iu](?:8|16|32|64|128|size)|f32|f64|[fdlmnu])?/iy;
+
+const C_WORD = /[A-Za-z_$][\w$]*/y;
+
+/**
+ * Split a space-separated word list into a set
+ * @param {string} words
+ * @returns {Set<string>}
+ */
+function words(words) {
+  return new Set(words.split(/\s+/).filter(Boolean));
+}
+
+// ========================================
+// Languages
+// ========================================
+
+const javascript = {
+  rules: [
+    ...C_COMMENTS,
+    ['string', /`(?:[^`\\]|\\[\s\S])*`?/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED,
+    ['meta', /@[\w.]+/y]
+  ],
+  keywords: words(`
+    as async await break case catch class const continue debugger default delete do else enum
+    export extends finally for from function get if implements import in instanceof interface
+    let new of package private protected public readonly return set static super switch this
+    throw try type typeof var void while with yield declare namespace abstract keyof satisfies
+  `),
+  literals: words('true false null undefined NaN Infinity'),
+  builtins: words(`
+    any boolean never number object string symbol unknown bigint console window document
+    globalThis require module exports process
+  `),
+  classNames: true
+};
+
+const python = {
+  rules: [
+    HASH_COMMENT,
+    ['string', /(?:[rubf]{1,2})?("""|''')[\s\S]*?(?:\1|$)/iy],
+    ['string', /(?:[rubf]{1,2})?"(?:[^"\\\n]|\\.)*"?/iy],
+    ['string', /(?:[rubf]{1,2})?'(?:[^'\\\n]|\\.)*'?/iy],
+    ['meta', /@[\w.]+/y]
+  ],
+  keywords: words(`
+    and as assert async await break class continue def del elif else except finally for from
+    global if import in is lambda match case nonlocal not or pass raise return try while with yield
+  `),
+  literals: words('True False None self cls'),
+  builtins: words(`
+    abs all any bool bytes dict dir enumerate filter float format getattr hasattr int isinstance
+    iter len list map max min next object open print range repr reversed round set setattr
+    sorted str sum super tuple type zip
+  `),
+  classNames: true
+};
+
+const bash = {
+  rules: [
+    ['comment', /(?<![^\s;])#.*/y],
+    ['string', /"(?:[^"\\]|\\[\s\S])*"?/y],
+    ['string', /'[^']*'?/y],
+    ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*-])/y],
+    ['meta', /(?<![^\n])\$(?= )/y]
+  ],
+  keywords: words(`
+    if then else elif fi for while until do done case esac function in select return
+    export local readonly declare unset break continue
+  `),
+  literals: words('true false'),
+  builtins: words(`
+    alias cd echo eval exec exit printf pwd read set shift source sudo test trap
+  `),
+  word: /[A-Za-z_][\w-]*/y
+};
+
+const json = {
+  rules: [
+    ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+    DOUBLE_QUOTED,
+    ...C_COMMENTS
+  ],
+  literals: words('true false null')
+};
+
+const css = {
+  rules: [
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED,
+    ['keyword', /@[\w-]+|!important/y],
+    ['property', /--?[a-z][\w-]*(?=\s*:[^;{}]*[;}])|[a-z][\w-]*(?=\s*:[^;{}]*[;}])/iy],
+    ['function', /[a-z][\w-]*(?=\()/iy],
+    ['number', /#[\da-f]{3,8}(?![\w-])(?=[^{]*[;}])/iy],
+    ['number', /-?(?:\d+\.?\d*|\.\d+)(?:%|[a-z]+)?/iy]
+  ],
+  word: /-?[A-Za-z_][\w-]*/y,
+  noNumbers: true
+};
+
+const markupTag = {
+  rules: [
+    ['tag', /<\/?[\w:.-]*|\/?>/y],
+    ['string', /"[^"]*"?|'[^']*'?/y],
+    ['attr', /[^\s=>/"']+/y]
+  ],
+  noNumbers: true
+};
+
+const markup = {
+  rules: [
+    ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+    ['meta', /<![^>]*>?|<\?[\s\S]*?(?:\?>|$)/y],
+    ['string', /<!\[CDATA\[[\s\S]*?(?:\]\]>|$)/y],
+    [null, /<\/?[\w:.-]+(?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/y, markupTag],
+    ['literal', /&(?:#\d+|#x[\da-f]+|\w+);/iy]
+  ],
+  noNumbers: true,
+  word: /[^\s<&]+/y
+};
+
+const yaml = {
+  rules: [
+    ['comment', /(?<![^\s])#.*/y],
+    ['meta', /(?<![^\n])(?:---|\.\.\.)(?=\s|$)/y],
+    ['property', /[\w.-][\w .-]*(?=\s*:(?:\s|$))/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED,
+    ['meta', /[&*][\w-]+|![\w!]*/y]
+  ],
+  literals: words('true false null yes no on off True False Null Yes No'),
+  word: /[A-Za-z_][\w-]*/y
+};
+
+const go = {
+  rules: [
+    ...C_COMMENTS,
+    ['string', /`[^`]*`?/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED
+  ],
+  keywords: words(`
+    break case chan const continue default defer else fallthrough for func go goto if import
+    interface map package range return select struct switch type var
+  `),
+  literals: words('true false nil iota'),
+  builtins: words(`
+    bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string
+    uint uint8 uint16 uint32 uint64 uintptr any append cap close copy delete len make new panic
+    print println recover
+  `),
+  classNames: true
+};
+
+const rust = {
+  rules: [
+    ...C_COMMENTS,
+    ['meta', /#!?\[[^\]\n]*\]?/y],
+    ['string', /b?r(#*)"[\s\S]*?(?:"\1|$)/y],
+    ['string', /b?"(?:[^"\\]|\\[\s\S])*"?/y],
+    ['string', /b?'(?:[^'\\\n]|\\[^'\n]{1,8})'/y],
+    ['meta', /'[a-z_]\w*/y],
+    ['function', /[a-z_]\w*!/y]
+  ],
+  keywords: words(`
+    as async await break const continue crate dyn else enum extern fn for if impl in let loop
+    match mod move mut pub ref return self Self static struct super trait type unsafe use where while
+  `),
+  literals: words('true false None Some Ok Err'),
+  builtins: words(`
+    bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize String Vec
+    Option Result Box
+  `),
+  classNames: true
+};
+
+const java = {
+  rules: [
+    ...C_COMMENTS,
+    ['string', /"""[\s\S]*?(?:"""|$)/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED,
+    ['meta', /@\w+/y]
+  ],
+  keywords: words(`
+    abstract assert break case catch class const continue default do else enum extends final
+    finally for goto if implements import instanceof interface native new package private
+    protected public return static strictfp super switch synchronized this throw throws
+    transient try var void volatile while record sealed permits yield
+  `),
+  literals: words('true false null'),
+  builtins: words('boolean byte char double float int long short String Object'),
+  classNames: true
+};
+
+const c = {
+  rules: [
+    ...C_COMMENTS,
+    ['meta', /#\s*[a-z]+\b(?:[^\n\\]|\\[\s\S])*/y],
+    ['string', /R"([^(\s]*)\([\s\S]*?(?:\)\1"|$)/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED
+  ],
+  keywords: words(`
+    auto break case catch class const constexpr continue default delete do else enum explicit
+    extern for friend goto if inline namespace new noexcept operator private protected public
+    register return sizeof static struct switch template this throw try typedef typename union
+    using virtual volatile while override final
+  `),
+  literals: words('true false NULL nullptr'),
+  builtins: words(`
+    bool char double float int long short signed unsigned void size_t int8_t int16_t int32_t
+    int64_t uint8_t uint16_t uint32_t uint64_t std string vector
+  `),
+  classNames: true
+};
+
+const csharp = {
+  rules: [
+    ...C_COMMENTS,
+    ['string', /[$@]{1,2}"(?:[^"]|"")*"?/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED,
+    ['meta', /#\s*[a-z]+.*/y]
+  ],
+  keywords: words(`
+    abstract as async await base break case catch checked class const continue default delegate
+    do else enum event explicit extern finally fixed for foreach get goto if implicit in init
+    interface internal is lock namespace new operator out override params private protected
+    public readonly record ref return sealed set static struct switch this throw try typeof
+    unchecked unsafe using var virtual void volatile when where while yield
+  `),
+  literals: words('true false null'),
+  builtins: words(`
+    bool byte char decimal double dynamic float int long object sbyte short string uint ulong ushort
+  `),
+  classNames: true
+};
+
+const ruby = {
+  rules: [
+    HASH_COMMENT,
+    ['comment', /(?<![^\n])=begin[\s\S]*?(?:\n=end|$)/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED,
+    ['literal', /:[A-Za-z_]\w*[?!]?/y],
+    ['variable', /@{1,2}\w+|\$\w+/y]
+  ],
+  keywords: words(`
+    alias and begin break case class def defined? do else elsif end ensure for if in module
+    next not or redo rescue retry return self super then undef unless until when while yield
+    require require_relative attr_accessor attr_reader attr_writer private protected public
+  `),
+  literals: words('true false nil'),
+  builtins: words('puts print p raise lambda proc loop'),
+  word: /[A-Za-z_]\w*[?!]?/y,
+  classNames: true
+};
+
+const php = {
+  rules: [
+    ...C_COMMENTS,
+    HASH_COMMENT,
+    ['meta', /<\?(?:php|=)?|\?>/y],
+    DOUBLE_QUOTED,
+    SINGLE_QUOTED,
+    ['variable', /\$\w+/y]
+  ],
+  keywords: words(`
+    abstract and as break case catch class clone const continue declare default do echo else
+    elseif empty enum extends final finally fn for foreach function global if implements include
+    include_once instanceof insteadof interface isset list match namespace new or print private
+    protected public readonly require require_once return static switch throw trait try unset
+    use var while yield
+  `),
+  literals: words('true false null TRUE FALSE NULL'),
+  builtins: words('array bool callable float int iterable mixed object string void self parent'),
+  classNames: true
+};
+
+const sql = {
+  rules: [
+    ['comment', /--.*/y],
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /'(?:[^']|'')*'?/y],
+    ['property', /"(?:[^"]|"")*"?|`[^`]*`?/y]
+  ],
+  keywords: words(`
+    add all alter and as asc begin between by case check column commit constraint create cross
+    database default delete desc distinct drop else end exists foreign from full group having if
+    in index inner insert into is join key left like limit not null offset on or order outer
+    primary references returning right rollback select set table then transaction truncate union
+    unique update using values view when where with
+  `),
+  literals: words('true false null'),
+  builtins: words(`
+    avg count max min sum coalesce cast bigint boolean char date decimal float int integer
+    numeric text timestamp varchar
+  `),
+  ignoreCase: true
+};
+
+const diff = {
+  rules: [
+    ['meta', /(?<![^\n])(?:diff |index |--- |\+\+\+ |@@).*/y],
+    ['inserted', /(?<![^\n])[+>].*/y],
+    ['deleted', /(?<![^\n])[-<].*/y]
+  ],
+  noNumbers: true,
+  word: /[^\n]+/y
+};
+
+// Language names and the aliases used in fenced code blocks
+const LANGUAGES = {
+  javascript, js: javascript, jsx: javascript, mjs: javascript, cjs: javascript,
+  typescript: javascript, ts: javascript, tsx: javascript,
+  python, py: python,
+  bash, sh: bash, shell: bash, zsh: bash, console: bash, shellsession: bash,
+  json, jsonc: json,
+  css, scss: css, less: css,
+  html: markup, xml: markup, svg: markup, markup, vue: markup,
+  yaml, yml: yaml,
+  go, golang: go,
+  rust, rs: rust,
+  java,
+  c, h: c, cpp: c, 'c++': c, cc: c, hpp: c,
+  csharp, cs: csharp,
+  ruby, rb: ruby,
+  php,
+  sql, postgresql: sql, mysql: sql, sqlite: sql,
+  diff, patch: diff
+};
+
+// ========================================
+// Tokenizer
+// ========================================
+
+/**
+ * Split code into typed tokens
+ * @param {string} code - Source text
+ * @param {Object} language - Language definition
+ * @returns {Array<Object>} Tokens of { type, text }, type null for plain text
+ */
+function tokenize(code, language) {
+  const tokens = [];
+  const word = language.word || C_WORD;
+  let plain = '';
+  let pos = 0;
+
+  const push = (type, text) => {
+    if (plain) {
+      tokens.push({ type: null, text: plain });
+      plain = '';
+    }
+    tokens.push({ type, text });
+  };
+
+  while (pos < code.length) {
+    const rule = matchRule(code, pos, language.rules);
+    if (rule) {
+      if (rule.inside) {
+        tokenize(rule.text, rule.inside).forEach((token) => push(token.type ?? rule.type, token.text));
+      } else {
+        push(rule.type, rule.text);
+      }
+      pos += rule.text.length;
+      continue;
+    }
+
+    if (!language.noNumbers) {
+      NUMBER.lastIndex = pos;
+      const number = NUMBER.exec(code);
+      if (number) {
+        push('number', number[0]);
+        pos += number[0].length;
+        continue;
+      }
+    }
+
+    word.lastIndex = pos;
+    const match = word.exec(code);
+    if (match) {
+      const type = classifyWord(match[0], code, pos + match[0].length, language);
+      if (type) {
+        push(type, match[0]);
+      } else {
+        plain += match[0];
+      }
+      pos += match[0].length;
+      continue;
+    }
+
+    plain += code[pos];
+    pos++;
+  }
+
+  if (plain) tokens.push({ type: null, text: plain });
+  return tokens;
+}
+
+/**
+ * Try a language's rules at a position
+ * @param {string} code
+ * @param {number} pos
+ * @param {Array} rules - [type, sticky pattern, inside language?] entries
+ * @returns {Object|null} { type, text, inside } for the first rule that matches
+ */
+function matchRule(code, pos, rules) {
+  for (const [type, pattern, inside] of rules) {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(code);
+    if (match && match[0]) {
+      return { type, text: match[0], inside };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the token type of a word
+ * @param {string} word
+ * @param {string} code - Full source, to look at what follows the word
+ * @param {number} end - Index just after the word
+ * @param {Object} language
+ * @returns {string|null}
+ */
+function classifyWord(word, code, end, language) {
+  const key = language.ignoreCase ? word.toLowerCase() : word;
+
+  if (language.keywords?.has(key)) return 'keyword';
+  if (language.literals?.has(key)) return 'literal';
+  if (language.builtins?.has(key)) return 'builtin';
+
+  // Data and markup formats have no keywords, and no calls or classes either
+  if (!language.keywords) return null;
+  if (/^\s*\(/.test(code.slice(end, end + 16))) return 'function';
+  if (language.classNames && /^[A-Z]\w*[a-z]/.test(word)) return 'type';
+  return null;
+}
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Highlight code as HTML, one element per line
+ * @param {string} code - Source text
+ * @param {string} languageName - Language name or alias, may be empty
+ * @returns {string} HTML of <span class="code-line"> elements
+ */
+export function highlightCode(code, languageName) {
+  const language = LANGUAGES[(languageName || '').toLowerCase()];
+  const source = code.replace(/\n$/, '');
+  const tokens = language ? tokenize(source, language) : [{ type: null, text: source }];
+
+  // Tokens such as block comments can span lines; split them so each line is whole
+  const lines = [''];
+  tokens.forEach(({ type, text }) => {
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push('');
+      if (!part) return;
+      const html = escapeHtml(part);
+      lines[lines.length - 1] += type ? `<span class="tok-${type}">${html}</span>` : html;
+    });
+  });
+
+  return lines.map((line) => `<span class="code-line">${line}</span>`).join('\n');
+}
+
+/**
+ * Highlight the code blocks of rendered article content
+ * Each block is wrapped with a copy button and labelled with its language
+ * @param {HTMLElement} container - Rendered article content
+ */
+export function highlightCodeBlocks(container) {
+  container.querySelectorAll('pre > code').forEach((code) => {
+    const pre = code.parentElement;
+    const languageName = [...code.classList]
+      .find((name) => name.startsWith('language-'))
+      ?.slice('language-'.length) || '';
+
+    code.innerHTML = highlightCode(code.textContent, languageName);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'code-block';
+    if (languageName) wrapper.dataset.language = languageName;
+
+    // The button has no text, so it stays out of copied text and highlight anchors
+    const copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.className = 'code-block__copy';
+    copyBtn.setAttribute('aria-label', 'Copy code');
+    copyBtn.title = 'Copy code';
+    copyBtn.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+        <rect x="9" y="9" width="13" height="13" rx="2"/>
+        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
+      </svg>
+    `;
+
+    pre.replaceWith(wrapper);
+    wrapper.append(pre, copyBtn);
+  });
+}
+
+/**
+ * Text of a code block, for copying
+ * @param {HTMLElement} wrapper - .code-block element
+ * @returns {string}
+ */
+export function codeBlockText(wrapper) {
+  return wrapper.querySelector('pre > code')?.textContent || '';
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,73 @@
+/**
+ * ZenReader - Table of Contents
+ * Lists an article's headings and tracks which section is on screen
+ */
+
+import { isPaged, getCurrentPage, pageSpan } from './pages.js';
+
+// Heading levels listed in the table of contents
+const TOC_SELECTOR = 'h1[id], h2[id], h3[id], h4[id]';
+
+// A section counts as current once its heading is this close to the top of the viewport
+const CURRENT_OFFSET = 96;
+
+/**
+ * Collect the headings of rendered article content
+ * Levels are made relative, so an article whose top level is h2 starts at 1
+ * @param {HTMLElement} container - Rendered article content
+ * @returns {Array<Object>} { id, text, depth, element } in document order
+ */
+export function getHeadings(container) {
+  // Headings quoted or nested in lists are part of the prose, not its outline
+  const elements = [...container.querySelectorAll(TOC_SELECTOR)]
+    .filter((element) => element.textContent.trim() && !element.closest('blockquote, li'));
+  const topLevel = Math.min(...elements.map(headingLevel));
+
+  return elements.map((element) => ({
+    id: element.id,
+    text: headingText(element),
+    depth: headingLevel(element) - topLevel + 1,
+    element
+  }));
+}
+
+/**
+ * Find the section the reader is in
+ * @param {Array<Object>} headings - Headings from getHeadings
+ * @returns {string|null} ID of the last heading above the top of the viewport (or on
+ *   the current page when paginated), null before the first
+ */
+export function findCurrentHeading(headings) {
+  const page = isPaged() ? getCurrentPage() : null;
+  const reached = page === null
+    ? (element) => element.getBoundingClientRect().top <= CURRENT_OFFSET
+    : (element) => pageSpan(element)[0] <= page;
+  let current = null;
+
+  for (const heading of headings) {
+    if (!reached(heading.element)) break;
+    current = heading.id;
+  }
+
+  return current;
+}
+
+/**
+ * Text of a heading, without its footnote reference numbers
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function headingText(element) {
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll('.footnote-ref').forEach((ref) => ref.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Heading level of an element
+ * @param {HTMLElement} element - h1 to h6
+ * @returns {number}
+ */
+function headingLevel(element) {
+  return Number(element.localName.slice(1));
+}
@@ -3,6 +3,12 @@
  * State management and DOM updates
  */
 
+import { HIGHLIGHT_COLORS } from './highlights.js';
+import { sanitizeHtml } from './sanitize.js';
+import { getHeadings } from './toc.js';
+import { getReadingPosition, restoreReadingPosition } from './position.js';
+import { isPaged, layoutPages, getPageCount, getCurrentPage, showPage, showNode } from './pages.js';
+
 // ========================================
 // DOM Element References
 // ========================================
@@ -18,18 +24,35 @@ export function initElements() {
   // Views
   elements.libraryView = document.getElementById('library-view');
   elements.readerView = document.getElementById('reader-view');
+  elements.notebookView = document.getElementById('notebook-view');
 
   // Library
   elements.articleGrid = document.getElementById('article-grid');
   elements.emptyState = document.getElementById('empty-state');
+  elements.searchInput = document.getElementById('search-input');
+  elements.filterEmpty = document.getElementById('filter-empty');
+  elements.libraryTabs = document.querySelectorAll('.library-tab');
+  elements.tagBar = document.getElementById('tag-bar');
 
   // Header
   elements.addBtn = document.getElementById('add-btn');
   elements.settingsBtn = document.getElementById('settings-btn');
+  elements.notebookBtn = document.getElementById('notebook-btn');
+
+  // Notebook
+  elements.notebookBackBtn = document.getElementById('notebook-back-btn');
+  elements.notebookSearch = document.getElementById('notebook-search');
+  elements.notebookList = document.getElementById('notebook-list');
+  elements.notebookEmpty = document.getElementById('notebook-empty');
+  elements.notebookExportButtons = document.querySelectorAll('[data-notebook-export]');
 
   // Reader
   elements.backBtn = document.getElementById('back-btn');
   elements.exportArticleBtn = document.getElementById('export-article-btn');
+  elements.tagsArticleBtn = document.getElementById('tags-article-btn');
+  elements.favoriteArticleBtn = document.getElementById('favorite-article-btn');
+  elements.highlightsBtn = document.getElementById('highlights-btn');
+  elements.archiveArticleBtn = document.getElementById('archive-article-btn');
   elements.deleteArticleBtn = document.getElementById('delete-article-btn');
   elements.readerTitle = document.getElementById('reader-title');
   elements.readerSite = document.getElementById('reader-site');
@@ -39,14 +62,65 @@ export function initElements() {
   elements.readerHeader = document.querySelector('.reader-header');
   elements.readerFooter = document.getElementById('reader-footer');
   elements.settingsFooterBtn = document.getElementById('settings-footer-btn');
+  elements.tocFooterBtn = document.getElementById('toc-footer-btn');
+  elements.pageIndicator = document.getElementById('page-indicator');
+  elements.listenFooterBtn = document.getElementById('listen-footer-btn');
+  elements.speechPrevBtn = document.getElementById('speech-prev-btn');
+  elements.speechNextBtn = document.getElementById('speech-next-btn');
 
   // Settings Sheet (reader)
   elements.settingsSheet = document.getElementById('settings-sheet');
   elements.settingsSheetBackdrop = document.getElementById('settings-sheet-backdrop');
 
+  // Highlights
+  elements.highlightToolbar = document.getElementById('highlight-toolbar');
+  elements.highlightsSheet = document.getElementById('highlights-sheet');
+  elements.highlightsList = document.getElementById('highlights-list');
+  elements.highlightsEmpty = document.getElementById('highlights-empty');
+
+  // Footnotes
+  elements.footnotePopover = document.getElementById('footnote-popover');
+  elements.footnotePopoverContent = document.getElementById('footnote-popover-content');
+
+  // Table of contents
+  elements.tocSheet = document.getElementById('toc-sheet');
+  elements.tocList = document.getElementById('toc-list');
+  elements.sheetTocSetting = document.getElementById('sheet-toc-setting');
+  elements.sheetTocBtn = document.getElementById('sheet-toc-btn');
+
+  // Auto-scroll
+  elements.sheetAutoScrollBtn = document.getElementById('sheet-autoscroll-btn');
+  elements.sheetReadingSpeedSlider = document.getElementById('sheet-reading-speed-slider');
+  elements.sheetReadingSpeedValue = document.getElementById('sheet-reading-speed-value');
+  elements.autoScrollBar = document.getElementById('autoscroll-bar');
+  elements.autoScrollStatus = document.getElementById('autoscroll-status');
+  elements.autoScrollStopBtn = document.getElementById('autoscroll-stop-btn');
+
+  // Speed reading
+  elements.sheetRsvpBtn = document.getElementById('sheet-rsvp-btn');
+  elements.rsvpModal = document.getElementById('rsvp-modal');
+  elements.rsvpWord = document.getElementById('rsvp-word');
+  elements.rsvpProgress = document.getElementById('rsvp-progress');
+  elements.rsvpRewindBtn = document.getElementById('rsvp-rewind-btn');
+  elements.rsvpPlayBtn = document.getElementById('rsvp-play-btn');
+  elements.rsvpForwardBtn = document.getElementById('rsvp-forward-btn');
+  elements.rsvpSpeedSlider = document.getElementById('rsvp-speed-slider');
+  elements.rsvpSpeedValue = document.getElementById('rsvp-speed-value');
+  elements.rsvpChunkSelect = document.getElementById('rsvp-chunk-select');
+  elements.closeRsvpBtn = document.getElementById('close-rsvp-btn');
+  elements.rsvpDoneBtn = document.getElementById('rsvp-done-btn');
+
+  // Listening
+  elements.sheetSpeechSetting = document.getElementById('sheet-speech-setting');
+  elements.sheetListenBtn = document.getElementById('sheet-listen-btn');
+  elements.sheetVoiceSelect = document.getElementById('sheet-voice-select');
+  elements.sheetSpeechRateSlider = document.getElementById('sheet-speech-rate-slider');
+  elements.sheetSpeechRateValue = document.getElementById('sheet-speech-rate-value');
+
   // Sheet controls
   elements.sheetThemeButtons = document.querySelectorAll('#settings-sheet .theme-btn');
   elements.sheetFontButtons = document.querySelectorAll('#settings-sheet .font-btn');
+  elements.sheetLayoutButtons = document.querySelectorAll('#settings-sheet .layout-btn');
   elements.sheetFontSizeSlider = document.getElementById('sheet-font-size-slider');
   elements.sheetFontSizeValue = document.getElementById('sheet-font-size-value');
   elements.sheetLineHeightSlider = document.getElementById('sheet-line-height-slider');
@@ -56,8 +130,19 @@ export function initElements() {
   elements.addModal = document.getElementById('add-modal');
   elements.addForm = document.getElementById('add-form');
   elements.urlInput = document.getElementById('url-input');
+  elements.tagsInput = document.getElementById('tags-input');
+  elements.sourceOptions = document.getElementById('source-options');
+  elements.htmlInput = document.getElementById('html-input');
+  elements.htmlFileInput = document.getElementById('html-file-input');
+  elements.bulkOptions = document.getElementById('bulk-options');
+  elements.bulkInput = document.getElementById('bulk-input');
+  elements.importQueue = document.getElementById('import-queue');
+  elements.importQueueSummary = document.getElementById('import-queue-summary');
+  elements.importQueueList = document.getElementById('import-queue-list');
+  elements.retryFailedBtn = document.getElementById('retry-failed-btn');
   elements.detectedTitle = document.getElementById('detected-title');
   elements.addError = document.getElementById('add-error');
+  elements.addErrorActions = document.getElementById('add-error-actions');
   elements.addProgress = document.getElementById('add-progress');
   elements.addProgressFill = document.querySelector('.add-progress__fill');
   elements.closeModalBtn = document.getElementById('close-modal-btn');
@@ -72,10 +157,25 @@ export function initElements() {
   elements.closeSettingsBtn = document.getElementById('close-settings-btn');
   elements.themeButtons = document.querySelectorAll('#settings-modal .theme-btn');
   elements.fontButtons = document.querySelectorAll('#settings-modal .font-btn');
+  elements.layoutButtons = document.querySelectorAll('#settings-modal .layout-btn');
   elements.fontSizeSlider = document.getElementById('font-size-slider');
   elements.fontSizeValue = document.getElementById('font-size-value');
   elements.lineHeightSlider = document.getElementById('line-height-slider');
   elements.lineHeightValue = document.getElementById('line-height-value');
+  elements.rulesInput = document.getElementById('rules-input');
+  elements.rulesError = document.getElementById('rules-error');
+  elements.saveRulesBtn = document.getElementById('save-rules-btn');
+  elements.tagList = document.getElementById('tag-list');
+  elements.autoArchiveToggle = document.getElementById('auto-archive-toggle');
+  elements.lineNumbersToggle = document.getElementById('line-numbers-toggle');
+
+  // Tags Modal
+  elements.tagsModal = document.getElementById('tags-modal');
+  elements.tagsForm = document.getElementById('tags-form');
+  elements.articleTagsInput = document.getElementById('article-tags-input');
+  elements.tagSuggestions = document.getElementById('tag-suggestions');
+  elements.closeTagsBtn = document.getElementById('close-tags-btn');
+  elements.cancelTagsBtn = document.getElementById('cancel-tags-btn');
 }
 
 // ========================================
@@ -85,16 +185,43 @@ export function initElements() {
 export const state = {
   currentView: 'library',
   currentArticleId: null,
+  currentArticle: null,
   articles: [],
   isLoading: false,
   isOnline: navigator.onLine,
   uiHidden: false,
   settingsSheetOpen: false,
+  highlightsSheetOpen: false,
+  tocSheetOpen: false,
+  headings: [],
+  currentHeadingId: null,
+  footnoteRef: null,
+  autoScrolling: false,
+  autoScrollPaused: false,
+  highlights: [],
+  orphanHighlightIds: [],
+  extractionRules: {},
+  importQueue: [],
+  searchQuery: '',
+  tags: [],
+  activeTagId: null,
+  libraryTab: 'inbox',
+  readerReturnView: 'library',
+  notebookGroups: [],
+  notebookQuery: '',
   settings: {
     theme: 'light',
     fontSize: 100,
     fontFamily: 'serif',
-    lineHeight: 180
+    lineHeight: 180,
+    layout: 'scroll',
+    readingSpeed: 200,
+    rsvpSpeed: 300,
+    rsvpChunk: 1,
+    autoArchive: false,
+    codeLineNumbers: false,
+    speechVoice: '',
+    speechRate: 1
   }
 };
 
@@ -107,18 +234,51 @@ export const state = {
  */
 export function showLibrary() {
   state.currentView = 'library';
+  resetReader();
+
+  document.body.dataset.view = 'library';
+  elements.libraryView.hidden = false;
+  elements.readerView.hidden = true;
+  elements.notebookView.hidden = true;
+}
+
+/**
+ * Show the notebook view
+ */
+export function showNotebook() {
+  state.currentView = 'notebook';
+  resetReader();
+
+  document.body.dataset.view = 'notebook';
+  elements.libraryView.hidden = true;
+  elements.readerView.hidden = true;
+  elements.notebookView.hidden = false;
+
+  window.scrollTo(0, 0);
+}
+
+/**
+ * Clear the reader state when leaving it
+ */
+function resetReader() {
   state.currentArticleId = null;
+  state.currentArticle = null;
 
-  // Reset reader state
   state.uiHidden = false;
   state.settingsSheetOpen = false;
+  state.highlightsSheetOpen = false;
+  state.tocSheetOpen = false;
+  state.headings = [];
+  state.currentHeadingId = null;
   elements.readerHeader?.classList.remove('reader-header--hidden');
   elements.settingsSheet?.classList.remove('settings-sheet--open');
+  elements.highlightsSheet?.classList.remove('settings-sheet--open');
+  elements.tocSheet?.classList.remove('settings-sheet--open');
   elements.settingsSheetBackdrop?.classList.remove('sheet-backdrop--visible');
-
-  document.body.dataset.view = 'library';
-  elements.libraryView.hidden = false;
-  elements.readerView.hidden = true;
+  hideHighlightToolbar();
+  hideFootnote();
+  clearSpokenSentence();
+  updateAutoScrollStatus(false, false);
 
   // Reset progress bar
   updateProgress(0);
@@ -132,6 +292,7 @@ export function showReader() {
 
   document.body.dataset.view = 'reader';
   elements.libraryView.hidden = true;
+  elements.notebookView.hidden = true;
   elements.readerView.hidden = false;
 
   // Scroll to top
@@ -144,7 +305,7 @@ export function showReader() {
 
 /**
  * Render the article grid
- * @param {Array} articles - Array of article metadata
+ * @param {Array} articles - Array of article metadata; search results also carry a snippet
  */
 export function renderLibrary(articles) {
   state.articles = articles;
@@ -152,13 +313,16 @@ export function renderLibrary(articles) {
   // Clear existing cards
   elements.articleGrid.innerHTML = '';
 
+  // The welcome message is only for an empty inbox; other views explain what's missing
+  const filtered = Boolean(state.searchQuery) || state.activeTagId !== null || state.libraryTab !== 'inbox';
+  elements.emptyState.hidden = articles.length > 0 || filtered;
+  elements.filterEmpty.hidden = articles.length > 0 || !filtered;
+
   if (articles.length === 0) {
-    elements.emptyState.hidden = false;
+    elements.filterEmpty.textContent = emptyMessage();
     return;
   }
 
-  elements.emptyState.hidden = true;
-
   // Create article cards
   articles.forEach((article) => {
     const card = document.createElement('article-card');
@@ -169,10 +333,82 @@ export function renderLibrary(articles) {
     card.setAttribute('is-read', article.isRead ? 'true' : 'false');
     card.setAttribute('excerpt', article.excerpt || '');
     card.setAttribute('saved-at', article.addedAt || '');
+    card.setAttribute('tags', tagNames(article).join(','));
+    card.setAttribute('status', article.status || 'inbox');
+    card.setAttribute('favorite', article.isFavorite ? 'true' : 'false');
+    card.setAttribute('progress', article.progress || 0);
+    // Search results show the matching passage instead of the excerpt
+    if (article.snippet) card.snippet = article.snippet;
     elements.articleGrid.appendChild(card);
   });
 }
 
+/**
+ * Explain why the current library view is empty
+ * @returns {string} Message
+ */
+function emptyMessage() {
+  if (state.searchQuery) return 'No articles match your search';
+  if (state.libraryTab === 'favorites') return 'No favorites yet. Tap the star on an article to add it here.';
+  if (state.libraryTab === 'archived') return 'Nothing archived yet. Finished articles can be archived from the reader.';
+  return 'No articles with this tag';
+}
+
+/**
+ * Highlight the selected library tab
+ */
+export function renderLibraryTabs() {
+  elements.libraryTabs.forEach((tab) => {
+    const active = tab.dataset.libraryTab === state.libraryTab;
+    tab.classList.toggle('library-tab--active', active);
+    tab.setAttribute('aria-selected', active ? 'true' : 'false');
+  });
+}
+
+/**
+ * Get the names of an article's tags
+ * @param {Object} article - Article metadata with tagIds
+ * @returns {Array<string>} Tag names
+ */
+export function tagNames(article) {
+  return (article.tagIds || [])
+    .map((id) => state.tags.find((tag) => tag.id === id)?.name)
+    .filter(Boolean);
+}
+
+/**
+ * Render the tag filter bar above the library
+ */
+export function renderTagBar() {
+  const tags = state.tags.filter((tag) => tag.count > 0);
+  elements.tagBar.hidden = tags.length === 0;
+  elements.tagBar.innerHTML = '';
+
+  if (tags.length === 0) return;
+
+  const createChip = (label, tagId, count) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag-chip';
+    chip.classList.toggle('tag-chip--active', state.activeTagId === tagId);
+    chip.dataset.tagId = tagId ?? '';
+    chip.textContent = label;
+
+    if (count !== undefined) {
+      const countLabel = document.createElement('span');
+      countLabel.className = 'tag-chip__count';
+      countLabel.textContent = count;
+      chip.appendChild(countLabel);
+    }
+    return chip;
+  };
+
+  elements.tagBar.appendChild(createChip('All', null));
+  tags.forEach((tag) => {
+    elements.tagBar.appendChild(createChip(tag.name, tag.id, tag.count));
+  });
+}
+
 // ========================================
 // Reader Rendering
 // ========================================
@@ -184,12 +420,78 @@ export function renderLibrary(articles) {
  */
 export function renderReader(article, renderedHtml) {
   state.currentArticleId = article.id;
+  state.currentArticle = article;
 
   elements.readerTitle.textContent = article.title;
-  elements.readerSite.textContent = article.siteName || '';
-  elements.readerContent.innerHTML = renderedHtml;
+  elements.readerSite.textContent = formatByline(article);
+  // Article markup comes from third-party pages, so only allowlisted HTML goes in
+  elements.readerContent.innerHTML = sanitizeHtml(renderedHtml);
+
+  // Let the browser hyphenate and pick voices for the article's language
+  if (article.language) {
+    elements.readerContent.lang = article.language;
+  } else {
+    elements.readerContent.removeAttribute('lang');
+  }
+
+  // Table of contents, offered only when the article has headings
+  state.headings = getHeadings(elements.readerContent);
+  state.currentHeadingId = null;
+  elements.tocFooterBtn.hidden = state.headings.length === 0;
+  elements.sheetTocSetting.hidden = state.headings.length === 0;
+  renderToc();
 
+  updateReaderActions();
   showReader();
+  layoutReader(null);
+}
+
+/**
+ * Reflect the current article's favorite and archive state in the reader header
+ */
+export function updateReaderActions() {
+  const article = state.currentArticle;
+  if (!article) return;
+
+  const archived = article.status === 'archived';
+  elements.archiveArticleBtn.setAttribute('aria-pressed', archived ? 'true' : 'false');
+  elements.archiveArticleBtn.title = archived ? 'Move to inbox' : 'Archive';
+  elements.archiveArticleBtn.setAttribute('aria-label', elements.archiveArticleBtn.title);
+
+  const favorite = Boolean(article.isFavorite);
+  elements.favoriteArticleBtn.setAttribute('aria-pressed', favorite ? 'true' : 'false');
+  elements.favoriteArticleBtn.title = favorite ? 'Remove from favorites' : 'Favorite';
+  elements.favoriteArticleBtn.setAttribute('aria-label', elements.favoriteArticleBtn.title);
+}
+
+/**
+ * Confirm a code block copy on its button for a moment
+ * @param {HTMLButtonElement} button - The block's copy button
+ */
+export function showCodeCopied(button) {
+  button.classList.add('code-block__copy--copied');
+  button.setAttribute('aria-label', 'Copied');
+  button.title = 'Copied';
+
+  setTimeout(() => {
+    button.classList.remove('code-block__copy--copied');
+    button.setAttribute('aria-label', 'Copy code');
+    button.title = 'Copy code';
+  }, 2000);
+}
+
+/**
+ * Build the reader header byline: site, authors and publication date
+ * @param {Object} article - Article metadata
+ * @returns {string} Byline text
+ */
+function formatByline(article) {
+  const authors = article.authors?.length ? article.authors : [article.author].filter(Boolean);
+  const published = article.publishedTime
+    ? new Date(article.publishedTime).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+    : null;
+
+  return [article.siteName, authors.join(', '), published].filter(Boolean).join(' · ');
 }
 
 /**
@@ -214,8 +516,14 @@ export function openAddModal(prefill = {}) {
   elements.urlInput.value = prefill.url || '';
   elements.detectedTitle.textContent = prefill.title || '';
   elements.detectedTitle.hidden = !prefill.title;
-  elements.addError.hidden = true;
-  elements.addError.textContent = '';
+  elements.tagsInput.value = '';
+  clearAddError();
+
+  // Drop finished imports once the queue is idle, keeping failures to retry
+  if (state.importQueue.every((item) => ['saved', 'failed'].includes(item.status))) {
+    state.importQueue = state.importQueue.filter((item) => item.status === 'failed');
+  }
+  renderImportQueue();
 
   elements.addModal.showModal();
   elements.urlInput.focus();
@@ -227,8 +535,10 @@ export function openAddModal(prefill = {}) {
 export function closeAddModal() {
   elements.addModal.close();
   elements.addForm.reset();
+  elements.sourceOptions.open = false;
+  elements.bulkOptions.open = false;
   elements.detectedTitle.hidden = true;
-  elements.addError.hidden = true;
+  clearAddError();
   setAddLoading(false);
 }
 
@@ -241,6 +551,9 @@ export function setAddLoading(loading, progress = 0) {
   state.isLoading = loading;
   elements.saveAddBtn.disabled = loading;
   elements.urlInput.disabled = loading;
+  elements.tagsInput.disabled = loading;
+  elements.htmlInput.disabled = loading;
+  elements.htmlFileInput.disabled = loading;
   elements.cancelAddBtn.disabled = loading;
 
   // Show/hide progress bar
@@ -275,13 +588,202 @@ export function updateAddProgress(progress, status = '') {
   }
 }
 
+/**
+ * Render the bulk import queue in the add modal
+ */
+export function renderImportQueue() {
+  const queue = state.importQueue;
+  elements.importQueue.hidden = queue.length === 0;
+  elements.importQueueList.innerHTML = '';
+
+  if (queue.length === 0) return;
+
+  const statusLabels = {
+    queued: 'Queued',
+    extracting: 'Extracting…',
+    saving: 'Saving…',
+    saved: 'Saved',
+    failed: 'Failed'
+  };
+
+  queue.forEach((item) => {
+    const li = document.createElement('li');
+    li.className = `import-item import-item--${item.status}`;
+
+    const label = document.createElement('span');
+    label.className = 'import-item__label';
+    label.textContent = item.title || item.url;
+    label.title = item.error || item.url;
+
+    const status = document.createElement('span');
+    status.className = 'import-item__status';
+    status.textContent = statusLabels[item.status];
+
+    li.append(label, status);
+
+    if (item.status === 'failed') {
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'btn btn--secondary btn--small';
+      retry.dataset.retryId = item.id;
+      retry.textContent = 'Retry';
+      li.appendChild(retry);
+    }
+
+    elements.importQueueList.appendChild(li);
+  });
+
+  const saved = queue.filter((item) => item.status === 'saved').length;
+  const failed = queue.filter((item) => item.status === 'failed').length;
+  elements.importQueueSummary.textContent =
+    `${saved} of ${queue.length} saved${failed ? `, ${failed} failed` : ''}`;
+  elements.retryFailedBtn.hidden = failed === 0;
+}
+
+// Message and suggested actions for each extraction error code
+const ADD_ERROR_HINTS = {
+  OFFLINE: {
+    message: 'You appear to be offline. Try again once you are connected, or keep the link as a bookmark.',
+    actions: ['retry', 'bookmark']
+  },
+  TIMEOUT: {
+    message: 'The site took too long to respond.',
+    actions: ['retry', 'paste', 'bookmark']
+  },
+  NETWORK_ERROR: {
+    message: 'Could not connect to the site.',
+    actions: ['retry', 'bookmark']
+  },
+  DNS_FAILURE: {
+    message: 'That site could not be found. Check the address for typos.',
+    actions: ['bookmark']
+  },
+  FETCH_FORBIDDEN: {
+    message: 'The site blocks automated readers. Paste the page source from your browser instead.',
+    actions: ['paste', 'bookmark']
+  },
+  NOT_FOUND: {
+    message: 'The page no longer exists on the site.',
+    actions: ['bookmark']
+  },
+  RATE_LIMITED: {
+    message: 'The site is limiting requests. Wait a moment and try again.',
+    actions: ['retry', 'paste', 'bookmark']
+  },
+  UPSTREAM_4XX: {
+    message: 'The site refused the request.',
+    actions: ['paste', 'bookmark']
+  },
+  UPSTREAM_5XX: {
+    message: 'The site is having problems right now.',
+    actions: ['retry', 'paste', 'bookmark']
+  },
+  NOT_ARTICLE: {
+    message: 'No article text was found on this page. It may be built with scripts or be an index page.',
+    actions: ['paste', 'bookmark']
+  },
+  TOO_LARGE: {
+    message: 'The page is too large to extract.',
+    actions: ['bookmark']
+  },
+  BLOCKED_HOST: {
+    message: 'Private and local network addresses cannot be fetched.',
+    actions: ['paste']
+  },
+  TOO_MANY_REDIRECTS: {
+    message: 'The page redirects too many times.',
+    actions: ['paste', 'bookmark']
+  },
+  INVALID_URL: {
+    message: 'Please enter a valid http or https URL.',
+    actions: []
+  },
+  INTERNAL: {
+    message: 'Something went wrong while extracting the article.',
+    actions: ['retry', 'bookmark']
+  }
+};
+
 /**
  * Show error in add modal
- * @param {string} message - Error message
+ * Extraction errors get a specific message and the actions that can help;
+ * plain strings are shown as-is
+ * @param {string|Error} error - Error message, or an error with { code, retryable }
  */
-export function showAddError(message) {
-  elements.addError.textContent = message;
+export function showAddError(error) {
+  const hint = typeof error === 'object' ? ADD_ERROR_HINTS[error.code] : null;
+  const message = typeof error === 'string' ? error : error.message;
+  // A retry only helps when the server says so
+  const actions = (hint ? hint.actions : [])
+    .filter((action) => action !== 'retry' || error.retryable !== false);
+
+  elements.addError.textContent = hint ? hint.message : message || 'Failed to extract article';
+  elements.addError.title = hint ? message : '';
   elements.addError.hidden = false;
+
+  elements.addErrorActions.querySelectorAll('[data-error-action]').forEach((button) => {
+    button.hidden = !actions.includes(button.dataset.errorAction);
+  });
+  elements.addErrorActions.hidden = actions.length === 0;
+}
+
+/**
+ * Hide the add modal error and its actions
+ */
+export function clearAddError() {
+  elements.addError.hidden = true;
+  elements.addError.textContent = '';
+  elements.addErrorActions.hidden = true;
+}
+
+// ========================================
+// Tags Modal
+// ========================================
+
+/**
+ * Open the tags modal for the current article
+ * @param {Array<string>} names - The article's current tag names
+ */
+export function openTagsModal(names) {
+  elements.articleTagsInput.value = names.join(', ');
+  renderTagSuggestions();
+  elements.tagsModal.showModal();
+  elements.articleTagsInput.focus();
+}
+
+/**
+ * Close the tags modal
+ */
+export function closeTagsModal() {
+  elements.tagsModal.close();
+}
+
+/**
+ * Show existing tags that aren't in the input yet, for one-tap adding
+ */
+export function renderTagSuggestions() {
+  const current = parseTags(elements.articleTagsInput.value).map((name) => name.toLowerCase());
+  elements.tagSuggestions.innerHTML = '';
+
+  state.tags
+    .filter((tag) => !current.includes(tag.name.toLowerCase()))
+    .forEach((tag) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tag-chip';
+      chip.dataset.tagName = tag.name;
+      chip.textContent = `+ ${tag.name}`;
+      elements.tagSuggestions.appendChild(chip);
+    });
+}
+
+/**
+ * Split a comma-separated tag input into names
+ * @param {string} text - Input value
+ * @returns {Array<string>} Tag names
+ */
+export function parseTags(text) {
+  return text.split(',').map((name) => name.trim()).filter(Boolean);
 }
 
 // ========================================
@@ -306,6 +808,14 @@ export function setOnlineStatus(online) {
  */
 export function openSettingsModal() {
   updateSettingsUI();
+
+  // Site rules
+  elements.rulesInput.value = Object.keys(state.extractionRules).length
+    ? JSON.stringify(state.extractionRules, null, 2)
+    : '';
+  showRulesError('');
+  renderTagList();
+
   elements.settingsModal.showModal();
 }
 
@@ -316,6 +826,49 @@ export function closeSettingsModal() {
   elements.settingsModal.close();
 }
 
+/**
+ * Render the tag list in the settings modal
+ */
+export function renderTagList() {
+  elements.tagList.innerHTML = '';
+
+  if (state.tags.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'tag-list__empty';
+    empty.textContent = 'No tags yet';
+    elements.tagList.appendChild(empty);
+    return;
+  }
+
+  state.tags.forEach((tag) => {
+    const li = document.createElement('li');
+    li.className = 'tag-list__item';
+
+    const name = document.createElement('span');
+    name.className = 'tag-list__name';
+    name.textContent = tag.name;
+
+    const count = document.createElement('span');
+    count.className = 'tag-list__count';
+    count.textContent = `${tag.count} ${tag.count === 1 ? 'article' : 'articles'}`;
+
+    const rename = document.createElement('button');
+    rename.type = 'button';
+    rename.className = 'btn btn--secondary btn--small';
+    rename.dataset.renameTagId = tag.id;
+    rename.textContent = 'Rename';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn--secondary btn--small';
+    remove.dataset.deleteTagId = tag.id;
+    remove.textContent = 'Delete';
+
+    li.append(name, count, rename, remove);
+    elements.tagList.appendChild(li);
+  });
+}
+
 /**
  * Update settings UI to reflect current state
  */
@@ -339,15 +892,36 @@ export function updateSettingsUI() {
   const lineHeightLabels = { 140: 'Compact', 160: 'Tight', 180: 'Normal', 200: 'Relaxed', 220: 'Loose' };
   elements.lineHeightValue.textContent = lineHeightLabels[state.settings.lineHeight] || 'Normal';
 
+  // Layout buttons
+  elements.layoutButtons.forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.layout === state.settings.layout);
+  });
+
+  // Reading
+  elements.autoArchiveToggle.checked = state.settings.autoArchive;
+  elements.lineNumbersToggle.checked = state.settings.codeLineNumbers;
+
   // Also update sheet UI
   updateSheetUI();
 }
 
+/**
+ * Show or clear the site rules error
+ * @param {string} message - Error message, empty to clear
+ */
+export function showRulesError(message) {
+  elements.rulesError.textContent = message;
+  elements.rulesError.hidden = !message;
+}
+
 /**
  * Apply current settings to the document
  */
 export function applySettings() {
-  const { theme, fontSize, fontFamily, lineHeight } = state.settings;
+  const { theme, fontSize, fontFamily, lineHeight, layout, codeLineNumbers } = state.settings;
+
+  // Note the passage being read before the text reflows
+  const position = state.currentView === 'reader' ? getReadingPosition(elements.readerContent) : null;
 
   // Apply theme
   document.documentElement.dataset.theme = theme === 'light' ? '' : theme;
@@ -363,6 +937,16 @@ export function applySettings() {
     '--font-serif',
     fontFamily === 'sans' ? 'var(--font-sans)' : "Georgia, 'Times New Roman', serif"
   );
+
+  // Line numbers are drawn by CSS, so code blocks need no re-render
+  document.documentElement.toggleAttribute('data-line-numbers', codeLineNumbers);
+
+  if (layout === 'paged') {
+    document.documentElement.dataset.layout = 'paged';
+  } else {
+    delete document.documentElement.dataset.layout;
+  }
+  layoutReader(position);
 }
 
 /**
@@ -405,6 +989,16 @@ export function setLineHeight(lineHeight) {
   updateSettingsUI();
 }
 
+/**
+ * Set layout
+ * @param {string} layout - Layout name (scroll, paged)
+ */
+export function setLayout(layout) {
+  state.settings.layout = layout;
+  applySettings();
+  updateSettingsUI();
+}
+
 /**
  * Load settings from storage
  * @param {Object} savedSettings - Settings object from storage
@@ -416,6 +1010,42 @@ export function loadSettings(savedSettings) {
   applySettings();
 }
 
+// ========================================
+// Pages
+// ========================================
+
+/**
+ * Lay out the reader for the current layout and window size
+ * Pages take the height left between the header and the footer
+ * @param {Object|null} position - Reading position to stay at, null for the start;
+ *   defaults to the current one
+ */
+export function layoutReader(position = getReadingPosition(elements.readerContent)) {
+  if (state.currentView !== 'reader') return;
+
+  if (isPaged()) {
+    window.scrollTo(0, 0);
+    const top = elements.readerContent.getBoundingClientRect().top;
+    layoutPages(window.innerHeight - top - elements.readerFooter.offsetHeight);
+  } else {
+    layoutPages(null);
+  }
+
+  if (!position || !restoreReadingPosition(elements.readerContent, position)) {
+    showPage(0);
+  }
+  updatePageIndicator();
+}
+
+/**
+ * Show the current page number in the reader footer
+ */
+export function updatePageIndicator() {
+  elements.pageIndicator.textContent = isPaged()
+    ? `Page ${getCurrentPage() + 1} of ${getPageCount()}`
+    : '';
+}
+
 // ========================================
 // Immersive Mode
 // ========================================
@@ -459,6 +1089,7 @@ export function showUI() {
  * Open the settings sheet
  */
 export function openSettingsSheet() {
+  closeTocSheet();
   state.settingsSheetOpen = true;
   updateSheetUI();
   elements.settingsSheet?.classList.add('settings-sheet--open');
@@ -515,4 +1146,550 @@ export function updateSheetUI() {
     const lineHeightLabels = { 140: 'Compact', 160: 'Tight', 180: 'Normal', 200: 'Relaxed', 220: 'Loose' };
     elements.sheetLineHeightValue.textContent = lineHeightLabels[state.settings.lineHeight] || 'Normal';
   }
+
+  // Layout buttons
+  elements.sheetLayoutButtons?.forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.layout === state.settings.layout);
+  });
+
+  // Auto-scroll speed
+  if (elements.sheetReadingSpeedSlider) {
+    elements.sheetReadingSpeedSlider.value = state.settings.readingSpeed;
+    elements.sheetReadingSpeedValue.textContent = `${state.settings.readingSpeed} wpm`;
+  }
+
+  // Listening
+  if (elements.sheetSpeechRateSlider) {
+    elements.sheetSpeechRateSlider.value = state.settings.speechRate;
+    elements.sheetSpeechRateValue.textContent = formatSpeechRate(state.settings.speechRate);
+    elements.sheetVoiceSelect.value = state.settings.speechVoice;
+  }
+}
+
+// ========================================
+// Notebook
+// ========================================
+
+/**
+ * Render clips grouped by article
+ * @param {Array<Object>} groups - { article, clips } pairs to show
+ */
+export function renderNotebook(groups) {
+  elements.notebookList.innerHTML = '';
+  elements.notebookEmpty.hidden = groups.length > 0;
+  elements.notebookExportButtons.forEach((btn) => {
+    btn.disabled = groups.length === 0;
+  });
+
+  if (groups.length === 0) {
+    elements.notebookEmpty.textContent = state.notebookQuery
+      ? 'No clips match your search'
+      : 'No clips yet. Select text in an article and tap Clip to collect it here.';
+    return;
+  }
+
+  groups.forEach(({ article, clips }) => {
+    const section = document.createElement('section');
+    section.className = 'notebook__group';
+
+    const header = document.createElement('header');
+    header.className = 'notebook__group-header';
+
+    const heading = document.createElement('div');
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'notebook__article';
+    title.dataset.openArticleId = article.id;
+    title.textContent = article.title;
+    heading.appendChild(title);
+
+    const site = document.createElement('span');
+    site.className = 'notebook__site';
+    site.textContent = `${article.siteName || ''}${article.siteName ? ' · ' : ''}${clips.length} ${clips.length === 1 ? 'clip' : 'clips'}`;
+    heading.appendChild(site);
+    header.appendChild(heading);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.className = 'btn btn--secondary btn--small';
+    exportBtn.dataset.exportClipsArticleId = article.id;
+    exportBtn.textContent = 'Export';
+    exportBtn.title = 'Export these clips as Markdown';
+    header.appendChild(exportBtn);
+
+    section.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = 'notebook__clips';
+
+    clips.forEach((clip) => {
+      const li = document.createElement('li');
+      li.className = 'notebook__clip';
+
+      const quote = document.createElement('button');
+      quote.type = 'button';
+      quote.className = 'notebook__quote';
+      quote.dataset.gotoClipId = clip.id;
+      quote.title = 'Show in article';
+      quote.textContent = clip.exact;
+      li.appendChild(quote);
+
+      const meta = document.createElement('div');
+      meta.className = 'notebook__clip-meta';
+
+      const date = document.createElement('span');
+      date.textContent = new Date(clip.createdAt).toLocaleDateString();
+      meta.appendChild(date);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn--danger btn--small';
+      remove.dataset.deleteClipId = clip.id;
+      remove.textContent = 'Delete';
+      meta.appendChild(remove);
+
+      li.appendChild(meta);
+      list.appendChild(li);
+    });
+
+    section.appendChild(list);
+    elements.notebookList.appendChild(section);
+  });
+}
+
+// ========================================
+// Highlights
+// ========================================
+
+/**
+ * Show the highlight toolbar above a selection
+ * @param {DOMRect} rect - Bounding box of the selection
+ */
+export function showHighlightToolbar(rect) {
+  const toolbar = elements.highlightToolbar;
+  toolbar.hidden = false;
+
+  // Above the selection, kept inside the viewport
+  const halfWidth = toolbar.offsetWidth / 2;
+  const left = Math.min(Math.max(rect.left + rect.width / 2, halfWidth + 8), window.innerWidth - halfWidth - 8);
+  const top = Math.max(rect.top - 8, toolbar.offsetHeight + 8);
+  toolbar.style.left = `${left}px`;
+  toolbar.style.top = `${top}px`;
+}
+
+/**
+ * Hide the highlight toolbar
+ */
+export function hideHighlightToolbar() {
+  if (elements.highlightToolbar) {
+    elements.highlightToolbar.hidden = true;
+  }
+}
+
+/**
+ * Open the highlights sheet
+ * @param {number|null} focusId - Optional highlight whose note should get focus
+ */
+export function openHighlightsSheet(focusId = null) {
+  closeSettingsSheet();
+  closeTocSheet();
+  state.highlightsSheetOpen = true;
+  renderHighlightsList();
+  elements.highlightsSheet.classList.add('settings-sheet--open');
+  elements.settingsSheetBackdrop.classList.add('sheet-backdrop--visible');
+
+  if (focusId !== null) {
+    const note = elements.highlightsList.querySelector(`[data-note-highlight-id="${focusId}"]`);
+    note?.scrollIntoView({ block: 'nearest' });
+    note?.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Close the highlights sheet
+ */
+export function closeHighlightsSheet() {
+  state.highlightsSheetOpen = false;
+  elements.highlightsSheet.classList.remove('settings-sheet--open');
+  elements.settingsSheetBackdrop.classList.remove('sheet-backdrop--visible');
+}
+
+/**
+ * Render the current article's highlights in the highlights sheet
+ */
+export function renderHighlightsList() {
+  const highlights = state.highlights;
+  elements.highlightsEmpty.hidden = highlights.length > 0;
+  elements.highlightsList.innerHTML = '';
+
+  highlights.forEach((highlight) => {
+    const li = document.createElement('li');
+    li.className = `highlights-list__item highlights-list__item--${highlight.color}`;
+
+    const quote = document.createElement('button');
+    quote.type = 'button';
+    quote.className = 'highlights-list__quote';
+    quote.dataset.gotoHighlightId = highlight.id;
+    quote.textContent = highlight.exact;
+    li.appendChild(quote);
+
+    if (state.orphanHighlightIds.includes(highlight.id)) {
+      const missing = document.createElement('span');
+      missing.className = 'highlights-list__missing';
+      missing.textContent = 'Passage no longer found in the article';
+      li.appendChild(missing);
+    }
+
+    const note = document.createElement('textarea');
+    note.className = 'input highlights-list__note';
+    note.rows = 2;
+    note.placeholder = 'Add a note';
+    note.dataset.noteHighlightId = highlight.id;
+    note.value = highlight.note || '';
+    li.appendChild(note);
+
+    const actions = document.createElement('div');
+    actions.className = 'highlights-list__actions';
+
+    HIGHLIGHT_COLORS.forEach((color) => {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.className = `highlights-list__swatch highlight-swatch--${color}`;
+      swatch.classList.toggle('highlights-list__swatch--active', highlight.color === color);
+      swatch.dataset.recolorHighlightId = highlight.id;
+      swatch.dataset.color = color;
+      swatch.setAttribute('aria-label', `Change color to ${color}`);
+      actions.appendChild(swatch);
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn--secondary btn--small highlights-list__delete';
+    remove.dataset.deleteHighlightId = highlight.id;
+    remove.textContent = 'Delete';
+    actions.appendChild(remove);
+
+    li.appendChild(actions);
+    elements.highlightsList.appendChild(li);
+  });
+}
+
+// ========================================
+// Table of Contents
+// ========================================
+
+/**
+ * Open the table of contents sheet, scrolled to the current section
+ */
+export function openTocSheet() {
+  if (state.headings.length === 0) return;
+
+  closeSettingsSheet();
+  closeHighlightsSheet();
+  state.tocSheetOpen = true;
+  elements.tocSheet.classList.add('settings-sheet--open');
+  elements.settingsSheetBackdrop.classList.add('sheet-backdrop--visible');
+
+  const current = elements.tocList.querySelector('[aria-current="location"]');
+  current?.scrollIntoView({ block: 'nearest' });
+  (current || elements.tocList.querySelector('button'))?.focus({ preventScroll: true });
+}
+
+/**
+ * Close the table of contents sheet
+ */
+export function closeTocSheet() {
+  state.tocSheetOpen = false;
+  elements.tocSheet.classList.remove('settings-sheet--open');
+  elements.settingsSheetBackdrop.classList.remove('sheet-backdrop--visible');
+}
+
+/**
+ * Toggle the table of contents sheet
+ */
+export function toggleTocSheet() {
+  if (state.tocSheetOpen) {
+    closeTocSheet();
+  } else {
+    openTocSheet();
+  }
+}
+
+/**
+ * Render the current article's headings in the table of contents sheet
+ */
+export function renderToc() {
+  elements.tocList.innerHTML = '';
+
+  state.headings.forEach((heading) => {
+    const li = document.createElement('li');
+    li.className = `toc-list__item toc-list__item--depth-${heading.depth}`;
+
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'toc-list__link';
+    link.dataset.tocId = heading.id;
+    link.textContent = heading.text;
+    li.appendChild(link);
+
+    elements.tocList.appendChild(li);
+  });
+
+  updateCurrentHeading(state.currentHeadingId);
+}
+
+/**
+ * Mark the section being read in the table of contents
+ * @param {string|null} id - Heading ID, null before the first heading
+ */
+export function updateCurrentHeading(id) {
+  state.currentHeadingId = id;
+
+  elements.tocList.querySelectorAll('[data-toc-id]').forEach((link) => {
+    if (link.dataset.tocId === id) {
+      link.setAttribute('aria-current', 'location');
+    } else {
+      link.removeAttribute('aria-current');
+    }
+  });
+}
+
+// ========================================
+// Footnotes
+// ========================================
+
+/**
+ * Show a footnote in a popover next to its reference
+ * @param {HTMLElement} ref - The reference link that was tapped
+ * @param {HTMLElement} note - The note's list item in the footnotes section
+ */
+export function showFootnote(ref, note) {
+  const popover = elements.footnotePopover;
+
+  // A copy of the note without its back link; IDs would clash with the originals
+  const content = note.cloneNode(true);
+  content.querySelectorAll('.footnote-backref').forEach((link) => link.remove());
+  content.querySelectorAll('[id]').forEach((element) => element.removeAttribute('id'));
+  elements.footnotePopoverContent.replaceChildren(...content.childNodes);
+
+  state.footnoteRef = ref;
+  popover.hidden = false;
+
+  // Below the reference, or above it when there is no room, kept inside the viewport
+  const rect = ref.getBoundingClientRect();
+  const width = popover.offsetWidth;
+  const height = popover.offsetHeight;
+  const left = Math.min(Math.max(rect.left + rect.width / 2 - width / 2, 8), window.innerWidth - width - 8);
+  const fitsBelow = rect.bottom + 8 + height <= window.innerHeight - 8;
+  const top = fitsBelow || rect.top - 8 - height < 8 ? rect.bottom + 8 : rect.top - 8 - height;
+
+  // Page coordinates, so the popover scrolls along with its reference
+  popover.style.left = `${left + window.scrollX}px`;
+  popover.style.top = `${top + window.scrollY}px`;
+}
+
+/**
+ * Hide the footnote popover
+ */
+export function hideFootnote() {
+  state.footnoteRef = null;
+  if (elements.footnotePopover) {
+    elements.footnotePopover.hidden = true;
+  }
+}
+
+// ========================================
+// Auto-scroll
+// ========================================
+
+/**
+ * Reflect the auto-scroll state in the status bar and the sheet
+ * @param {boolean} active - Auto-scroll is on, running or paused
+ * @param {boolean} paused - Auto-scroll is paused
+ */
+export function updateAutoScrollStatus(active, paused) {
+  state.autoScrolling = active;
+  state.autoScrollPaused = paused;
+
+  elements.autoScrollBar.hidden = !active;
+  elements.autoScrollStatus.textContent = active
+    ? `${paused ? 'Paused' : 'Auto-scroll'} · ${state.settings.readingSpeed} wpm`
+    : '';
+  elements.sheetAutoScrollBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+  elements.sheetAutoScrollBtn.textContent = active ? 'Stop Auto-scroll' : 'Start Auto-scroll';
+}
+
+/**
+ * Set the reading speed
+ * @param {number} speed - Words per minute (100-600)
+ */
+export function setReadingSpeed(speed) {
+  state.settings.readingSpeed = speed;
+  updateSheetUI();
+  updateAutoScrollStatus(state.autoScrolling, state.autoScrollPaused);
+}
+
+// ========================================
+// Speed Reading
+// ========================================
+
+/**
+ * Open the speed reading view
+ */
+export function openSpeedReading() {
+  elements.rsvpSpeedSlider.value = state.settings.rsvpSpeed;
+  elements.rsvpSpeedValue.textContent = `${state.settings.rsvpSpeed} wpm`;
+  elements.rsvpChunkSelect.value = String(state.settings.rsvpChunk);
+  updateRsvpControls(false);
+  elements.rsvpModal.showModal();
+  elements.rsvpPlayBtn.focus();
+}
+
+/**
+ * Close the speed reading view
+ */
+export function closeSpeedReading() {
+  elements.rsvpModal.close();
+}
+
+/**
+ * Show a word or chunk around its recognition point
+ * @param {Object} chunk - { text, pivot, index, total }
+ * @param {number} minutesLeft - Estimated reading time left
+ */
+export function showRsvpChunk(chunk, minutesLeft) {
+  const [before, pivot, after] = elements.rsvpWord.children;
+  before.textContent = chunk.text.slice(0, chunk.pivot);
+  pivot.textContent = chunk.text.charAt(chunk.pivot);
+  after.textContent = chunk.text.slice(chunk.pivot + 1);
+
+  const percent = chunk.total > 1 ? Math.round((chunk.index / (chunk.total - 1)) * 100) : 100;
+  elements.rsvpProgress.textContent = `${percent}% · ${Math.ceil(minutesLeft)} min left`;
+}
+
+/**
+ * Reflect whether speed reading is playing in the play button
+ * @param {boolean} playing
+ */
+export function updateRsvpControls(playing) {
+  elements.rsvpPlayBtn.setAttribute('aria-pressed', playing ? 'true' : 'false');
+  elements.rsvpPlayBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+}
+
+/**
+ * Set the speed reading speed
+ * @param {number} speed - Words per minute (100-1000)
+ */
+export function setRsvpSpeed(speed) {
+  state.settings.rsvpSpeed = speed;
+  elements.rsvpSpeedSlider.value = speed;
+  elements.rsvpSpeedValue.textContent = `${speed} wpm`;
+}
+
+// ========================================
+// Listening
+// ========================================
+
+// Name of the CSS highlight that marks the sentence being read
+const SPOKEN_HIGHLIGHT = 'spoken-sentence';
+
+/**
+ * Offer listening controls; only called when the browser can speak
+ */
+export function enableSpeech() {
+  elements.listenFooterBtn.hidden = false;
+  elements.sheetSpeechSetting.hidden = false;
+}
+
+/**
+ * Reflect the listening state in the footer and sheet controls
+ * @param {boolean} active - A listening session is open, playing or paused
+ * @param {boolean} playing - Sentences are being read
+ */
+export function updateSpeechControls(active, playing) {
+  const label = playing ? 'Pause' : (active ? 'Resume' : 'Listen');
+  [elements.listenFooterBtn, elements.sheetListenBtn].forEach((button) => {
+    button.setAttribute('aria-pressed', playing ? 'true' : 'false');
+    button.querySelector('span').textContent = label;
+  });
+  elements.listenFooterBtn.setAttribute('aria-label', label === 'Listen' ? 'Listen to article' : label);
+
+  elements.speechPrevBtn.hidden = !active;
+  elements.speechNextBtn.hidden = !active;
+
+  if (!active) clearSpokenSentence();
+}
+
+/**
+ * Mark the sentence being read and keep it on screen
+ * @param {Range|null} range - Range covering the sentence
+ */
+export function showSpokenSentence(range) {
+  if (!range) return;
+
+  // The CSS Custom Highlight API paints the range without touching the article's markup
+  if (window.CSS?.highlights && typeof Highlight === 'function') {
+    CSS.highlights.set(SPOKEN_HIGHLIGHT, new Highlight(range));
+  }
+
+  if (isPaged()) {
+    showNode(range);
+    return;
+  }
+
+  // Scroll once the sentence leaves the middle of the screen, bringing it to the upper third
+  const rect = range.getBoundingClientRect();
+  if (rect.top < window.innerHeight * 0.2 || rect.bottom > window.innerHeight * 0.8) {
+    window.scrollBy({ top: rect.top - window.innerHeight / 3, behavior: 'smooth' });
+  }
+}
+
+/**
+ * Remove the spoken sentence mark
+ */
+export function clearSpokenSentence() {
+  window.CSS?.highlights?.delete(SPOKEN_HIGHLIGHT);
+}
+
+/**
+ * Fill the voice picker
+ * @param {Array<SpeechSynthesisVoice>} voices - Installed voices, preferred first
+ */
+export function renderVoiceOptions(voices) {
+  const select = elements.sheetVoiceSelect;
+  select.innerHTML = '';
+
+  const automatic = document.createElement('option');
+  automatic.value = '';
+  automatic.textContent = 'Automatic';
+  select.appendChild(automatic);
+
+  voices.forEach((voice) => {
+    const option = document.createElement('option');
+    option.value = voice.voiceURI;
+    option.textContent = `${voice.name} (${voice.lang})`;
+    select.appendChild(option);
+  });
+
+  // A saved voice that is not installed here falls back to automatic
+  select.value = state.settings.speechVoice;
+  if (select.value !== state.settings.speechVoice) select.value = '';
+}
+
+/**
+ * Set the speech rate
+ * @param {number} rate - Multiple of the voice's normal rate (0.5-2)
+ */
+export function setSpeechRate(rate) {
+  state.settings.speechRate = rate;
+  updateSheetUI();
+}
+
+/**
+ * Format a speech rate for display
+ * @param {number} rate
+ * @returns {string} e.g. "1.2×"
+ */
+function formatSpeechRate(rate) {
+  return `${Number(rate).toFixed(1)}×`;
 }
@@ -5,7 +5,347 @@
 
 const { JSDOM } = require('jsdom');
 const { Readability } = require('@mozilla/readability');
-const fetch = require('node-fetch');
+const { safeFetch } = require('../lib/safe-fetch');
+const { ExtractError, upstreamError, toExtractError } = require('../lib/errors');
+const { MAX_PAGES, findNextPageUrl } = require('../lib/pagination');
+const { isPdf, extractPdf } = require('../lib/pdf');
+const { decodeHtml } = require('../lib/charset');
+const { harvestMetadata } = require('../lib/metadata');
+const {
+  normalizeRules,
+  resolveRule,
+  readMetadata,
+  removeElements,
+  extractContent
+} = require('../lib/rules');
+
+// Maximum size of page source sent by the client
+const MAX_HTML_BYTES = 5 * 1024 * 1024;
+
+// Time an invocation may spend fetching, leaving headroom under the 10 s function limit
+const TIME_BUDGET = 8000;
+
+// Least time worth starting another fetch with, in ms
+const MIN_FETCH_TIME = 2000;
+
+// Batch mode limits: one round of concurrent fetches fits in the time budget
+const MAX_BATCH_SIZE = 3;
+const BATCH_CONCURRENCY = 3;
+
+/**
+ * Extract the article from a parsed page
+ * Applies the site rule first, then falls back to Readability
+ * @param {Document} document - Parsed page (mutated by extraction)
+ * @param {Object} rule - Resolved extraction rule
+ * @returns {Object|null} Readability-shaped result
+ */
+function parseArticle(document, rule) {
+  removeElements(document, rule);
+
+  const ruled = extractContent(document, rule);
+  if (ruled) return ruled;
+
+  const reader = new Readability(document, {
+    charThreshold: 50
+  });
+  return reader.parse();
+}
+
+/**
+ * Time left before a deadline
+ * @param {number} deadline - Timestamp in ms
+ * @returns {number} Milliseconds, never negative
+ */
+function timeLeft(deadline) {
+  return Math.max(deadline - Date.now(), 0);
+}
+
+/**
+ * Fetch and parse the later pages of a multi-page article
+ * Stops quietly at the first page that fails, or when the deadline is near,
+ * keeping what was collected
+ * @param {string|null} nextUrl - URL of the second page
+ * @param {Set<string>} visited - URLs already fetched
+ * @param {Object} rule - Resolved extraction rule
+ * @param {number} deadline - Timestamp after which no page is fetched
+ * @returns {Promise<Array>} Readability results of the later pages, in order
+ */
+async function fetchLaterPages(nextUrl, visited, rule, deadline) {
+  const pages = [];
+
+  while (nextUrl && pages.length + 1 < MAX_PAGES && timeLeft(deadline) >= MIN_FETCH_TIME) {
+    visited.add(nextUrl);
+
+    try {
+      const { response, url: pageUrl, buffer } = await safeFetch(nextUrl, { timeout: timeLeft(deadline) });
+      if (!response.ok) break;
+
+      visited.add(pageUrl);
+      const html = decodeHtml(buffer, response.headers.get('content-type'));
+      const document = new JSDOM(html, { url: pageUrl }).window.document;
+      nextUrl = findNextPageUrl(document, pageUrl, visited);
+
+      const page = parseArticle(document, rule);
+      if (!page || !page.content) break;
+      pages.push(page);
+    } catch (error) {
+      console.warn(`Could not fetch page ${nextUrl}:`, error.message);
+      break;
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Extract an article from an HTML document
+ * @param {string} html - Decoded page markup
+ * @param {Object} options - { pageUrl, url, userRules, followPages, deadline, sourceType }
+ *   pageUrl resolves relative links, url is reported back to the client,
+ *   followPages fetches and stitches "next page" links until the deadline
+ * @returns {Promise<Object>} Article response body
+ */
+async function extractFromHtml(html, options) {
+  const { pageUrl, url, userRules, followPages, deadline, sourceType = 'html' } = options;
+  const hostname = new URL(pageUrl).hostname;
+
+  // Parse with jsdom, passing the page URL for relative link resolution
+  const dom = new JSDOM(html, {
+    url: pageUrl
+  });
+
+  const document = dom.window.document;
+
+  // Read metadata and the "next page" link before extraction strips the page
+  const rule = resolveRule(hostname, userRules);
+  const overrides = readMetadata(document, rule);
+  const metadata = harvestMetadata(document, pageUrl);
+  const visited = new Set([url, pageUrl]);
+  const nextPageUrl = followPages ? findNextPageUrl(document, pageUrl, visited) : null;
+
+  // Extract with the site rule or Readability
+  const article = parseArticle(document, rule);
+
+  if (!article || !article.content) {
+    throw new ExtractError(
+      'NOT_ARTICLE',
+      'Could not extract article content. The page may not contain readable article text.'
+    );
+  }
+
+  // Stitch later pages of multi-page articles onto the first one
+  const laterPages = await fetchLaterPages(nextPageUrl, visited, rule, deadline);
+  let content = [article.content, ...laterPages.map((page) => page.content)].join('\n');
+  const textContent = [article.textContent, ...laterPages.map((page) => page.textContent)].join('\n\n');
+  const length = laterPages.reduce((total, page) => total + (page.length || 0), article.length || 0);
+
+  // Restore a subtitle that extraction dropped
+  if (overrides.subtitle && !textContent.includes(overrides.subtitle)) {
+    content = `<p><em>${escapeHtml(overrides.subtitle)}</em></p>\n${content}`;
+  }
+
+  return {
+    title: overrides.title || article.title || metadata.title || 'Untitled',
+    author: overrides.author || article.byline || metadata.authors[0] || null,
+    authors: overrides.author ? [overrides.author] : metadata.authors,
+    content,
+    textContent,
+    excerpt: overrides.subtitle || article.excerpt || metadata.description || '',
+    siteName: overrides.siteName || article.siteName || metadata.siteName || hostname.replace(/^www\./, ''),
+    publishedTime: toIsoDate(overrides.publishedTime) || metadata.publishedTime,
+    modifiedTime: metadata.modifiedTime,
+    leadImage: metadata.leadImage,
+    language: metadata.language || article.lang || null,
+    canonicalUrl: metadata.canonicalUrl,
+    keywords: metadata.keywords,
+    url: url,
+    length,
+    pages: laterPages.length + 1,
+    sourceType
+  };
+}
+
+/**
+ * Fetch a URL and extract its article
+ * @param {string} url - URL to fetch
+ * @param {Object} options - { userRules, followPages, deadline }
+ * @returns {Promise<Object>} Article response body
+ */
+async function extractFromUrl(url, options) {
+  const { userRules, followPages, deadline } = options;
+
+  // Fetch the page, refusing private and reserved targets on every hop
+  const { response, url: finalUrl, buffer } = await safeFetch(url, { timeout: timeLeft(deadline) });
+  const parsedUrl = new URL(finalUrl);
+
+  if (!response.ok) {
+    throw upstreamError(response.status, response.statusText);
+  }
+
+  // PDFs bypass Readability but return the same article shape
+  if (isPdf(response.headers.get('content-type'), buffer)) {
+    const pdf = await extractPdf(buffer, finalUrl);
+
+    return {
+      ...pdf,
+      authors: pdf.author ? [pdf.author] : [],
+      leadImage: null,
+      canonicalUrl: null,
+      siteName: parsedUrl.hostname.replace(/^www\./, ''),
+      url: url,
+      pages: 1,
+      sourceType: 'pdf'
+    };
+  }
+
+  // Decode with the page's own encoding before JSDOM sees it
+  const html = decodeHtml(buffer, response.headers.get('content-type'));
+
+  return extractFromHtml(html, {
+    pageUrl: finalUrl,
+    url,
+    userRules,
+    followPages,
+    deadline
+  });
+}
+
+/**
+ * Extract several URLs with limited concurrency
+ * Each URL gets its own result so one failure doesn't sink the batch.
+ * Multi-page stitching is skipped to stay within the function time limit,
+ * and URLs not started before the deadline is near fail with a retryable TIMEOUT.
+ * @param {Array<string>} urls - URLs to extract
+ * @param {Object} userRules - Normalized user rules
+ * @param {number} deadline - Timestamp every fetch must finish by
+ * @returns {Promise<Array>} Results { url, ok, article } or { url, ok, error, code, retryable },
+ *   in input order
+ */
+async function extractBatch(urls, userRules, deadline) {
+  if (urls.length === 0) {
+    throw new ExtractError('INVALID_URL', 'At least one URL is required');
+  }
+  if (urls.length > MAX_BATCH_SIZE) {
+    throw new ExtractError('TOO_MANY_URLS', `At most ${MAX_BATCH_SIZE} URLs per batch`);
+  }
+
+  const results = new Array(urls.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      const url = urls[index];
+
+      try {
+        if (typeof url !== 'string' || !url) {
+          throw new ExtractError('INVALID_URL', 'Invalid URL format');
+        }
+        if (timeLeft(deadline) < MIN_FETCH_TIME) {
+          throw new ExtractError('TIMEOUT', 'Not enough time left in this batch to fetch the page');
+        }
+        const article = await extractFromUrl(url, { userRules, followPages: false, deadline });
+        results[index] = { url, ok: true, article };
+      } catch (error) {
+        if (!(error instanceof ExtractError)) {
+          console.error(`Extraction error for ${url}:`, error);
+        }
+        results[index] = { url, ok: false, ...toExtractError(error).toJSON() };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(BATCH_CONCURRENCY, urls.length) }, worker)
+  );
+
+  return results;
+}
+
+/**
+ * Parse the JSON request body
+ * @param {string|null} raw - Raw event body
+ * @returns {Object} Parsed body
+ */
+function parseBody(raw) {
+  let body;
+  try {
+    body = JSON.parse(raw || '{}');
+  } catch {
+    throw new ExtractError('INVALID_REQUEST', 'Request body must be valid JSON');
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ExtractError('INVALID_REQUEST', 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Read the page markup sent by the client
+ * Uploaded files arrive as base64 bytes and are decoded with their own charset,
+ * the same way as fetched pages; pasted source is already text
+ * @param {Object} body - Parsed request body
+ * @returns {string|null} Page markup, null if none was sent
+ */
+function readClientHtml(body) {
+  if (typeof body.htmlBase64 === 'string' && body.htmlBase64) {
+    const buffer = Buffer.from(body.htmlBase64, 'base64');
+    if (buffer.length > MAX_HTML_BYTES) {
+      throw new ExtractError('TOO_LARGE', 'Page source is too large (over 5 MB)');
+    }
+    return decodeHtml(buffer, null);
+  }
+
+  if (typeof body.html === 'string' && body.html.trim()) {
+    if (Buffer.byteLength(body.html) > MAX_HTML_BYTES) {
+      throw new ExtractError('TOO_LARGE', 'Page source is too large (over 5 MB)');
+    }
+    return body.html;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the URL sent alongside raw HTML
+ * It is only used to resolve relative links, never fetched
+ * @param {string} url
+ * @returns {string} Normalized URL
+ */
+function parseClientUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (['http:', 'https:'].includes(parsed.protocol)) return parsed.href;
+  } catch {
+    // Fall through
+  }
+  throw new ExtractError('INVALID_URL', 'Invalid URL format');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a date string to ISO format
+ * @param {string|undefined} value
+ * @returns {string|null}
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
 
 exports.handler = async (event) => {
   // CORS headers
@@ -24,119 +364,75 @@ exports.handler = async (event) => {
     };
   }
 
-  // Only allow POST
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
   try {
+    // Only allow POST
+    if (event.httpMethod !== 'POST') {
+      throw new ExtractError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    // Everything this invocation fetches shares one deadline
+    const deadline = Date.now() + TIME_BUDGET;
+
     // Parse request body
-    const body = JSON.parse(event.body || '{}');
+    const body = parseBody(event.body);
     const { url } = body;
+    const userRules = normalizeRules(body.rules);
 
-    if (!url) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'URL is required' })
-      };
-    }
+    // Batch mode: several URLs, one result per URL
+    if (Array.isArray(body.urls)) {
+      const results = await extractBatch(body.urls, userRules, deadline);
 
-    // Validate URL
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(url);
-      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-        throw new Error('Invalid protocol');
-      }
-    } catch {
       return {
-        statusCode: 400,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'Invalid URL format' })
+        body: JSON.stringify({ results })
       };
     }
 
-    // Fetch the page
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; ZenReader/1.0; +https://zenreader.app)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5'
-      },
-      redirect: 'follow'
-    });
-
-    if (!response.ok) {
-      return {
-        statusCode: 422,
-        headers,
-        body: JSON.stringify({
-          error: `Failed to fetch URL: ${response.status} ${response.statusText}`
-        })
-      };
+    if (!url) {
+      throw new ExtractError('INVALID_REQUEST', 'URL is required');
     }
 
-    const html = await response.text();
-
-    // Parse with jsdom, passing the URL for relative link resolution
-    const dom = new JSDOM(html, {
-      url: url
-    });
-
-    const document = dom.window.document;
+    // Page markup sent by the client (pasted source, uploaded file, bookmarklet).
+    // Nothing is fetched, so pages behind paywalls and logins work.
+    const html = readClientHtml(body);
+    if (html !== null) {
+      const pageUrl = parseClientUrl(url);
 
-    // Extract with Readability
-    const reader = new Readability(document, {
-      charThreshold: 50
-    });
+      const article = await extractFromHtml(html, {
+        pageUrl,
+        url,
+        userRules,
+        followPages: false,
+        sourceType: 'source'
+      });
 
-    const article = reader.parse();
-
-    if (!article || !article.content) {
       return {
-        statusCode: 422,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({
-          error: 'Could not extract article content. The page may not contain readable article text.'
-        })
+        body: JSON.stringify(article)
       };
     }
 
-    // Extract metadata
-    const metaAuthor = document.querySelector('meta[name="author"]')?.content;
-    const metaOgSiteName = document.querySelector('meta[property="og:site_name"]')?.content;
-    const metaPublishedTime = document.querySelector('meta[property="article:published_time"]')?.content;
+    const article = await extractFromUrl(url, { userRules, followPages: true, deadline });
 
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({
-        title: article.title || 'Untitled',
-        author: article.byline || metaAuthor || null,
-        content: article.content,
-        textContent: article.textContent,
-        excerpt: article.excerpt || '',
-        siteName: article.siteName || metaOgSiteName || parsedUrl.hostname.replace(/^www\./, ''),
-        publishedTime: metaPublishedTime || null,
-        url: url,
-        length: article.length
-      })
+      body: JSON.stringify(article)
     };
 
   } catch (error) {
-    console.error('Extraction error:', error);
+    if (!(error instanceof ExtractError)) {
+      console.error('Extraction error:', error);
+    }
+
+    const extractError = toExtractError(error);
 
     return {
-      statusCode: 500,
+      statusCode: extractError.statusCode,
       headers,
-      body: JSON.stringify({
-        error: error.message || 'An unexpected error occurred'
-      })
+      body: JSON.stringify(extractError)
     };
   }
 };
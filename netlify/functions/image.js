@@ -0,0 +1,106 @@
+/**
+ * ZenReader - Image Proxy Function
+ * Fetches article images on behalf of the client so they can be archived
+ * offline without running into CORS
+ */
+
+const { safeFetch } = require('../lib/safe-fetch');
+const { ExtractError, upstreamError, toExtractError } = require('../lib/errors');
+
+// Responses are base64 encoded, so stay well under the 6 MB function response limit
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const IMAGE_TIMEOUT = 8000;
+
+// Raster formats only: SVG can carry scripts
+const ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/avif'
+];
+
+/**
+ * Work out the image type from the response header or the file signature
+ * Some servers send images as application/octet-stream
+ * @param {string|null} contentType - Content-Type response header
+ * @param {Buffer} buffer - Response body
+ * @returns {string|null} Allowed MIME type, or null
+ */
+function detectImageType(contentType, buffer) {
+  const declared = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (ALLOWED_TYPES.includes(declared)) return declared;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.subarray(4, 12).toString('latin1') === 'ftypavif') return 'image/avif';
+
+  return null;
+}
+
+exports.handler = async (event) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 204,
+      headers
+    };
+  }
+
+  try {
+    if (event.httpMethod !== 'GET') {
+      throw new ExtractError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const url = event.queryStringParameters?.url;
+    if (!url) {
+      throw new ExtractError('INVALID_REQUEST', 'URL is required');
+    }
+
+    const { response, buffer } = await safeFetch(url, {
+      maxBytes: MAX_IMAGE_BYTES,
+      timeout: IMAGE_TIMEOUT,
+      headers: { Accept: 'image/avif,image/webp,image/png,image/jpeg,image/*;q=0.8' }
+    });
+
+    if (!response.ok) {
+      throw upstreamError(response.status, response.statusText);
+    }
+
+    const type = detectImageType(response.headers.get('content-type'), buffer);
+    if (!type) {
+      throw new ExtractError('NOT_IMAGE', 'The URL does not point to a supported image');
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': type,
+        'Cache-Control': 'public, max-age=86400'
+      },
+      body: buffer.toString('base64'),
+      isBase64Encoded: true
+    };
+  } catch (error) {
+    if (!(error instanceof ExtractError)) {
+      console.error('Image proxy error:', error);
+    }
+
+    const extractError = toExtractError(error);
+
+    return {
+      statusCode: extractError.statusCode,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(extractError)
+    };
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * ZenReader - Charset Detection
+ * Decodes fetched pages and uploaded .html files using their declared or sniffed character encoding
+ */
+
+// How far into the document to look for <meta charset>
+const SNIFF_BYTES = 4096;
+
+// windows-1252 characters for bytes 0x80-0x9F; the five unassigned bytes map to themselves
+const WINDOWS_1252_HIGH = '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f' +
+  '\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178';
+
+/**
+ * Detect the character encoding of an HTML document
+ * Follows the HTML precedence: byte order mark, then Content-Type, then <meta>
+ * @param {Buffer} buffer - Raw response body
+ * @param {string} contentType - Content-Type response header
+ * @returns {string} Encoding label understood by TextDecoder
+ */
+function detectCharset(buffer, contentType) {
+  const bom = detectBom(buffer);
+  if (bom) return bom;
+
+  const fromHeader = charsetFromContentType(contentType);
+  if (fromHeader) return fromHeader;
+
+  const fromMeta = charsetFromMeta(buffer);
+  if (fromMeta) return fromMeta;
+
+  // No declaration: use UTF-8 if the bytes are valid UTF-8, else the web's legacy default
+  return isValidUtf8(buffer) ? 'utf-8' : 'windows-1252';
+}
+
+/**
+ * Decode an HTML document to a string
+ * @param {Buffer} buffer - Raw response body or uploaded file
+ * @param {string} contentType - Content-Type response header, null for uploaded files
+ * @returns {string} Decoded document
+ */
+function decodeHtml(buffer, contentType) {
+  const charset = detectCharset(buffer, contentType);
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch {
+    // Unknown label
+    decoder = new TextDecoder('utf-8');
+  }
+
+  // TextDecoder strips a BOM matching its own encoding
+  const text = decoder.decode(buffer);
+
+  // Some Node versions decode windows-1252 as Latin-1, leaving 0x80-0x9F as control characters
+  if (decoder.encoding === 'windows-1252') {
+    return text.replace(/[\x80-\x9f]/g, (char) => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]);
+  }
+  return text;
+}
+
+/**
+ * Detect a byte order mark
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function detectBom(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Read the charset parameter of a Content-Type header
+ * @param {string} contentType
+ * @returns {string|null}
+ */
+function charsetFromContentType(contentType) {
+  const match = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+  return match ? normalizeLabel(match[1]) : null;
+}
+
+/**
+ * Find <meta charset> or <meta http-equiv="Content-Type"> near the top of the page
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function charsetFromMeta(buffer) {
+  // Latin-1 maps bytes one-to-one, so ASCII markup survives whatever the real encoding
+  const head = buffer.subarray(0, SNIFF_BYTES).toString('latin1');
+
+  const metaCharset = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+  if (metaCharset) return normalizeLabel(metaCharset[1]);
+
+  const xmlDeclaration = /^<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i.exec(head);
+  if (xmlDeclaration) return normalizeLabel(xmlDeclaration[1]);
+
+  return null;
+}
+
+/**
+ * Normalize an encoding label
+ * A page served as bytes cannot really be UTF-16 without a BOM, so treat
+ * such declarations as UTF-8 like browsers do
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+  const normalized = label.trim().toLowerCase();
+  if (/^utf-?16/.test(normalized)) return 'utf-8';
+  return normalized;
+}
+
+/**
+ * Check whether bytes decode as UTF-8 without errors
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  detectCharset,
+  decodeHtml
+};
@@ -0,0 +1,113 @@
+/**
+ * ZenReader - Extraction Errors
+ * Error taxonomy shared by the extraction helpers and the function handlers
+ *
+ * Every failure carries a machine-readable code. The client uses the code to
+ * pick a message and an action (retry, paste page source, save as bookmark),
+ * and the retryable flag to decide whether trying again can help.
+ */
+
+const ERROR_CODES = {
+  // Bad requests
+  INVALID_REQUEST: { statusCode: 400, retryable: false },
+  INVALID_URL: { statusCode: 400, retryable: false },
+  TOO_MANY_URLS: { statusCode: 400, retryable: false },
+  METHOD_NOT_ALLOWED: { statusCode: 405, retryable: false },
+
+  // Refused by the function
+  BLOCKED_HOST: { statusCode: 403, retryable: false },
+  TOO_LARGE: { statusCode: 413, retryable: false },
+  TOO_MANY_REDIRECTS: { statusCode: 422, retryable: false },
+
+  // Problems reaching the page
+  DNS_FAILURE: { statusCode: 422, retryable: false },
+  NETWORK_ERROR: { statusCode: 422, retryable: true },
+  TIMEOUT: { statusCode: 408, retryable: true },
+
+  // The site answered, but not with the page
+  FETCH_FORBIDDEN: { statusCode: 422, retryable: false },
+  NOT_FOUND: { statusCode: 422, retryable: false },
+  RATE_LIMITED: { statusCode: 422, retryable: true },
+  UPSTREAM_4XX: { statusCode: 422, retryable: false },
+  UPSTREAM_5XX: { statusCode: 422, retryable: true },
+
+  // The page was fetched but holds no article
+  NOT_ARTICLE: { statusCode: 422, retryable: false },
+
+  // The image proxy fetched something that is not an image
+  NOT_IMAGE: { statusCode: 415, retryable: false },
+
+  // Bug or unexpected failure in the function
+  INTERNAL: { statusCode: 500, retryable: true }
+};
+
+/**
+ * An extraction failure that maps to a specific HTTP response
+ */
+class ExtractError extends Error {
+  /**
+   * @param {string} code - Error code from ERROR_CODES
+   * @param {string} message - Human-readable message for the client
+   */
+  constructor(code, message) {
+    super(message);
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+    this.name = 'ExtractError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL';
+    this.statusCode = definition.statusCode;
+    this.retryable = definition.retryable;
+  }
+
+  /**
+   * Response body for this error
+   * @returns {Object} { error, code, retryable }
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      retryable: this.retryable
+    };
+  }
+}
+
+/**
+ * Map an upstream HTTP status onto an extraction error
+ * @param {number} status - Status code returned by the site
+ * @param {string} statusText - Status text returned by the site
+ * @returns {ExtractError}
+ */
+function upstreamError(status, statusText) {
+  const detail = `${status} ${statusText}`.trim();
+
+  if (status === 401 || status === 403 || status === 451) {
+    return new ExtractError('FETCH_FORBIDDEN', `The site refused access to this page (${detail})`);
+  }
+  if (status === 404 || status === 410) {
+    return new ExtractError('NOT_FOUND', `The page was not found (${detail})`);
+  }
+  if (status === 429) {
+    return new ExtractError('RATE_LIMITED', `The site is rate limiting requests (${detail})`);
+  }
+  if (status >= 500) {
+    return new ExtractError('UPSTREAM_5XX', `The site had a server error (${detail})`);
+  }
+  return new ExtractError('UPSTREAM_4XX', `Failed to fetch URL: ${detail}`);
+}
+
+/**
+ * Convert any thrown value into an extraction error
+ * @param {*} error - Thrown value
+ * @returns {ExtractError}
+ */
+function toExtractError(error) {
+  if (error instanceof ExtractError) return error;
+  return new ExtractError('INTERNAL', error?.message || 'An unexpected error occurred');
+}
+
+module.exports = {
+  ERROR_CODES,
+  ExtractError,
+  upstreamError,
+  toExtractError
+};
@@ -0,0 +1,278 @@
+/**
+ * ZenReader - Metadata Harvesting
+ * Reads JSON-LD, OpenGraph, Twitter card and standard meta tags
+ */
+
+// JSON-LD types treated as articles
+const ARTICLE_TYPES = [
+  'Article',
+  'NewsArticle',
+  'BlogPosting',
+  'ReportageArticle',
+  'AnalysisNewsArticle',
+  'OpinionNewsArticle',
+  'ScholarlyArticle',
+  'TechArticle',
+  'Report',
+  'WebPage'
+];
+
+const MAX_KEYWORDS = 20;
+const MAX_AUTHORS = 10;
+
+/**
+ * Harvest article metadata from a page
+ * Must run before Readability, which removes <script> tags and most of the head
+ * @param {Document} document - Parsed page
+ * @param {string} pageUrl - URL of the page, for resolving relative links
+ * @returns {Object} { title, authors, siteName, publishedTime, modifiedTime, leadImage,
+ *                     language, canonicalUrl, keywords, description }
+ */
+function harvestMetadata(document, pageUrl) {
+  const ld = findJsonLdArticle(document);
+  const meta = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim() || null;
+  const metaAll = (selector) => [...document.querySelectorAll(selector)]
+    .map((element) => element.getAttribute('content')?.trim())
+    .filter(Boolean);
+
+  const authors = uniqueStrings([
+    ...ldNames(ld?.author),
+    ...metaAll('meta[name="author"]'),
+    ...metaAll('meta[property="article:author"]').filter((value) => !/^https?:/i.test(value)),
+    ...metaAll('meta[name="parsely-author"]'),
+    ...metaAll('meta[name="dc.creator" i]')
+  ]).slice(0, MAX_AUTHORS);
+
+  const keywords = uniqueStrings([
+    ...ldKeywords(ld?.keywords),
+    ...metaAll('meta[property="article:tag"]'),
+    ...splitKeywords(meta('meta[name="keywords"]')),
+    ...splitKeywords(meta('meta[name="news_keywords"]'))
+  ]).slice(0, MAX_KEYWORDS);
+
+  const leadImage = resolveUrl(
+    ldImage(ld?.image) ||
+    meta('meta[property="og:image:secure_url"]') ||
+    meta('meta[property="og:image"]') ||
+    meta('meta[name="twitter:image"]') ||
+    meta('meta[name="twitter:image:src"]') ||
+    document.querySelector('link[rel="image_src"]')?.getAttribute('href'),
+    pageUrl
+  );
+
+  const canonicalUrl = resolveUrl(
+    document.querySelector('link[rel="canonical"]')?.getAttribute('href') ||
+    meta('meta[property="og:url"]') ||
+    ldUrl(ld?.mainEntityOfPage) ||
+    ld?.url,
+    pageUrl
+  );
+
+  return {
+    title: stringOrNull(ld?.headline) ||
+      meta('meta[property="og:title"]') ||
+      meta('meta[name="twitter:title"]'),
+    authors,
+    siteName: ldNames(ld?.publisher)[0] ||
+      meta('meta[property="og:site_name"]') ||
+      meta('meta[name="application-name"]'),
+    publishedTime: toIsoDate(
+      ld?.datePublished ||
+      meta('meta[property="article:published_time"]') ||
+      meta('meta[itemprop="datePublished"]') ||
+      meta('meta[name="parsely-pub-date"]') ||
+      meta('meta[name="dc.date" i]') ||
+      meta('meta[name="date"]') ||
+      document.querySelector('time[datetime][pubdate], article time[datetime]')?.getAttribute('datetime')
+    ),
+    modifiedTime: toIsoDate(
+      ld?.dateModified ||
+      meta('meta[property="article:modified_time"]') ||
+      meta('meta[property="og:updated_time"]') ||
+      meta('meta[itemprop="dateModified"]')
+    ),
+    leadImage,
+    language: normalizeLanguage(
+      stringOrNull(ld?.inLanguage) ||
+      document.documentElement.getAttribute('lang') ||
+      meta('meta[http-equiv="content-language" i]') ||
+      meta('meta[property="og:locale"]')
+    ),
+    canonicalUrl,
+    keywords,
+    description: meta('meta[property="og:description"]') ||
+      meta('meta[name="description"]') ||
+      meta('meta[name="twitter:description"]')
+  };
+}
+
+/**
+ * Find the first JSON-LD object describing an article
+ * @param {Document} document
+ * @returns {Object|null}
+ */
+function findJsonLdArticle(document) {
+  const candidates = [];
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+    try {
+      collectLdNodes(JSON.parse(script.textContent), candidates);
+    } catch {
+      // Malformed JSON-LD is common; ignore it
+    }
+  });
+
+  // Prefer specific article types over a generic WebPage
+  for (const type of ARTICLE_TYPES) {
+    const match = candidates.find((node) => ldTypes(node).includes(type));
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * Flatten JSON-LD arrays and @graph containers into a list of nodes
+ * @param {*} value
+ * @param {Array} nodes - Output list
+ */
+function collectLdNodes(value, nodes) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectLdNodes(item, nodes));
+  } else if (value && typeof value === 'object') {
+    nodes.push(value);
+    if (value['@graph']) collectLdNodes(value['@graph'], nodes);
+  }
+}
+
+/**
+ * Get the @type values of a JSON-LD node
+ * @param {Object} node
+ * @returns {Array<string>}
+ */
+function ldTypes(node) {
+  const type = node['@type'];
+  return Array.isArray(type) ? type : [type];
+}
+
+/**
+ * Read names from a JSON-LD person/organization value
+ * @param {*} value - String, object or array
+ * @returns {Array<string>}
+ */
+function ldNames(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(ldNames);
+  if (typeof value === 'string') return [value];
+  return typeof value.name === 'string' ? [value.name] : [];
+}
+
+/**
+ * Read keywords from a JSON-LD keywords value
+ * @param {*} value - Comma-separated string or array
+ * @returns {Array<string>}
+ */
+function ldKeywords(value) {
+  if (Array.isArray(value)) return value.filter((item) => typeof item === 'string');
+  return splitKeywords(typeof value === 'string' ? value : null);
+}
+
+/**
+ * Read an image URL from a JSON-LD image value
+ * @param {*} value - String, ImageObject or array of either
+ * @returns {string|null}
+ */
+function ldImage(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return ldImage(value[0]);
+  if (typeof value === 'string') return value;
+  return stringOrNull(value.url) || stringOrNull(value.contentUrl);
+}
+
+/**
+ * Read a URL from a JSON-LD mainEntityOfPage value
+ * @param {*} value
+ * @returns {string|null}
+ */
+function ldUrl(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return stringOrNull(value['@id']) || stringOrNull(value.url);
+}
+
+/**
+ * Split a comma-separated keyword list
+ * @param {string|null} value
+ * @returns {Array<string>}
+ */
+function splitKeywords(value) {
+  return value ? value.split(',').map((keyword) => keyword.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Deduplicate strings case-insensitively, keeping the first spelling
+ * @param {Array<string>} values
+ * @returns {Array<string>}
+ */
+function uniqueStrings(values) {
+  const seen = new Set();
+  return values
+    .map((value) => value.replace(/\s+/g, ' ').trim())
+    .filter((value) => {
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Resolve a possibly relative URL to an absolute http(s) URL
+ * @param {string|null} value
+ * @param {string} base
+ * @returns {string|null}
+ */
+function resolveUrl(value, base) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    const resolved = new URL(value.trim(), base);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a date string to ISO format
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function toIsoDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const date = new Date(value.trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalize a language tag (en_US -> en-US)
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const tag = value.trim().replace(/_/g, '-');
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(tag) ? tag : null;
+}
+
+/**
+ * Return a trimmed string or null
+ * @param {*} value
+ * @returns {string|null}
+ */
+function stringOrNull(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+module.exports = {
+  harvestMetadata
+};
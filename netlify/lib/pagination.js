@@ -0,0 +1,156 @@
+/**
+ * ZenReader - Pagination Detection
+ * Finds the "next page" link of articles split across several pages
+ */
+
+// Maximum number of pages stitched into one article
+const MAX_PAGES = 5;
+
+// Link text that commonly means "next page"
+const NEXT_TEXT_PATTERN = /^(next|next page|next\s*[›»>→]|[›»→]|continue reading|weiter|suivant|siguiente)$/i;
+
+// Link text that means "next page" even outside a pagination container
+const NEXT_PAGE_TEXT_PATTERN = /^(next page|page suivante|nächste seite|página siguiente)\b/i;
+
+// Class names and ids of pagination containers and their next links
+const PAGINATION_CONTAINER_SELECTOR = [
+  '.pagination',
+  '.pager',
+  '.page-numbers',
+  '.article-pagination',
+  '[class*="pagination"]',
+  'nav[aria-label*="page" i]'
+].join(', ');
+
+const NEXT_CLASS_PATTERN = /(^|[\s_-])(next|nextpage|next-page)([\s_-]|$)/i;
+
+/**
+ * Find the URL of the next page of an article
+ * Must be called before Readability.parse(), which mutates the document
+ * @param {Document} document - Parsed page
+ * @param {string} currentUrl - URL of the page the document came from
+ * @param {Set<string>} visited - URLs already fetched
+ * @returns {string|null} Absolute URL of the next page, or null
+ */
+function findNextPageUrl(document, currentUrl, visited = new Set()) {
+  const current = new URL(currentUrl);
+
+  const candidates = [
+    // Explicit rel="next" in the head or body
+    ...document.querySelectorAll('link[rel~="next"][href], a[rel~="next"][href]'),
+
+    // Links inside pagination containers that look like "next"
+    ...[...document.querySelectorAll(PAGINATION_CONTAINER_SELECTOR)]
+      .flatMap((container) => [...container.querySelectorAll('a[href]')])
+      .filter(isNextLink),
+
+    // Elsewhere, only links that explicitly say "next page" (a bare "Next"
+    // outside a pager usually points at the next article)
+    ...[...document.querySelectorAll('a[href]')]
+      .filter((link) => NEXT_PAGE_TEXT_PATTERN.test(link.textContent.replace(/\s+/g, ' ').trim()))
+  ];
+
+  for (const link of candidates) {
+    const href = resolveUrl(link.getAttribute('href'), current);
+    if (href && isLaterPage(href, current, visited)) {
+      return href;
+    }
+  }
+
+  // Fall back to incrementing a ?page=N or /page/N pattern
+  const guessed = guessNextPageUrl(current);
+  if (guessed && !visited.has(guessed)) {
+    const linked = [...document.querySelectorAll('a[href]')]
+      .some((link) => resolveUrl(link.getAttribute('href'), current) === guessed);
+    if (linked) return guessed;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a link looks like a "next page" link
+ * @param {HTMLAnchorElement} link
+ * @returns {boolean}
+ */
+function isNextLink(link) {
+  const text = link.textContent.replace(/\s+/g, ' ').trim();
+  const label = link.getAttribute('aria-label') || '';
+  const className = `${link.className || ''} ${link.id || ''}`;
+
+  return (
+    NEXT_TEXT_PATTERN.test(text) ||
+    /^next( page)?$/i.test(label.trim()) ||
+    NEXT_CLASS_PATTERN.test(className)
+  );
+}
+
+/**
+ * Resolve an href against the page URL, dropping fragments
+ * @param {string} href - Raw href attribute
+ * @param {URL} base - Page URL
+ * @returns {string|null} Absolute URL or null if unusable
+ */
+function resolveUrl(href, base) {
+  if (!href || href.startsWith('#') || /^(javascript|mailto):/i.test(href)) return null;
+  try {
+    const resolved = new URL(href, base);
+    resolved.hash = '';
+    return resolved.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that a candidate is a different page of the same article
+ * @param {string} href - Candidate URL
+ * @param {URL} current - Current page URL
+ * @param {Set<string>} visited - URLs already fetched
+ * @returns {boolean}
+ */
+function isLaterPage(href, current, visited) {
+  const candidate = new URL(href);
+  if (!['http:', 'https:'].includes(candidate.protocol)) return false;
+  if (candidate.hostname !== current.hostname) return false;
+  if (visited.has(candidate.href)) return false;
+
+  const withoutHash = new URL(current.href);
+  withoutHash.hash = '';
+  return candidate.href !== withoutHash.href;
+}
+
+/**
+ * Guess the next page URL by incrementing a page number
+ * Handles ?page=N, ?p=N and /page/N patterns
+ * @param {URL} current - Current page URL
+ * @returns {string|null} Guessed URL or null
+ */
+function guessNextPageUrl(current) {
+  const next = new URL(current.href);
+  next.hash = '';
+
+  for (const param of ['page', 'p', 'pg']) {
+    if (next.searchParams.has(param)) {
+      const page = parseInt(next.searchParams.get(param), 10);
+      if (Number.isNaN(page)) return null;
+      next.searchParams.set(param, String(page + 1));
+      return next.href;
+    }
+  }
+
+  const pathMatch = next.pathname.match(/^(.*\/page\/)(\d+)(\/?)$/);
+  if (pathMatch) {
+    next.pathname = `${pathMatch[1]}${parseInt(pathMatch[2], 10) + 1}${pathMatch[3]}`;
+    return next.href;
+  }
+
+  // First page without a page number: try ?page=2
+  next.searchParams.set('page', '2');
+  return next.href;
+}
+
+module.exports = {
+  MAX_PAGES,
+  findNextPageUrl
+};
@@ -0,0 +1,280 @@
+/**
+ * ZenReader - PDF Extraction
+ * Pulls text and headings out of PDF documents with pdf.js
+ */
+
+const { ExtractError } = require('./errors');
+
+// Maximum number of pages read from a single document
+const MAX_PDF_PAGES = 150;
+
+// A line this much larger than the body text is treated as a heading
+const HEADING_RATIO = 1.15;
+
+// Longer lines are never headings, whatever their size
+const MAX_HEADING_LENGTH = 160;
+
+/**
+ * Check whether a fetched document is a PDF
+ * @param {string} contentType - Content-Type response header
+ * @param {Buffer} buffer - Response body
+ * @returns {boolean}
+ */
+function isPdf(contentType, buffer) {
+  if (/application\/(x-)?pdf/i.test(contentType || '')) return true;
+  // Some servers send PDFs as application/octet-stream
+  return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Extract an article from a PDF document
+ * @param {Buffer} buffer - PDF bytes
+ * @param {string} url - URL the PDF was fetched from
+ * @returns {Promise<Object>} { title, author, content, textContent, excerpt, publishedTime,
+ *                              modifiedTime, language, keywords, length }
+ */
+async function extractPdf(buffer, url) {
+  // Loaded lazily so HTML extractions don't pay for pdf.js
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+  let document;
+  try {
+    document = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    throw new ExtractError('NOT_ARTICLE', `Could not read PDF: ${error.message}`);
+  }
+
+  try {
+    const { info } = await document.getMetadata().catch(() => ({ info: {} }));
+
+    const lines = [];
+    const pageCount = Math.min(document.numPages, MAX_PDF_PAGES);
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      lines.push(...groupIntoLines(textContent.items));
+      page.cleanup();
+    }
+
+    const blocks = buildBlocks(lines);
+    if (blocks.length === 0) {
+      throw new ExtractError(
+        'NOT_ARTICLE',
+        'This PDF has no extractable text. It may be a scanned document.'
+      );
+    }
+
+    const firstHeading = blocks.find((block) => block.level);
+    const title = cleanText(info?.Title) || firstHeading?.text || titleFromUrl(url);
+
+    // Drop a leading heading that repeats the title
+    if (blocks[0].level && blocks[0].text === title) {
+      blocks.shift();
+    }
+
+    const content = blocks
+      .map((block) => block.level
+        ? `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`
+        : `<p>${escapeHtml(block.text)}</p>`)
+      .join('\n');
+
+    const textContent = blocks.map((block) => block.text).join('\n\n');
+    const firstParagraph = blocks.find((block) => !block.level);
+
+    return {
+      title,
+      author: cleanText(info?.Author) || null,
+      content,
+      textContent,
+      excerpt: firstParagraph ? truncate(firstParagraph.text, 200) : '',
+      publishedTime: parsePdfDate(info?.CreationDate),
+      modifiedTime: parsePdfDate(info?.ModDate),
+      language: cleanText(info?.Language) || null,
+      keywords: cleanText(info?.Keywords).split(/[,;]/).map((keyword) => keyword.trim()).filter(Boolean),
+      length: textContent.length
+    };
+  } finally {
+    document.destroy();
+  }
+}
+
+/**
+ * Group positioned text items into lines
+ * @param {Array} items - pdf.js text content items
+ * @returns {Array} Lines { text, size, y }
+ */
+function groupIntoLines(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+
+    const size = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10;
+    const y = item.transform[5];
+
+    if (current && Math.abs(current.y - y) < Math.max(size, current.size) * 0.5) {
+      current.text += item.str;
+      current.size = Math.max(current.size, size);
+    } else {
+      if (current) lines.push(current);
+      current = { text: item.str, size, y };
+    }
+
+    if (item.hasEOL) {
+      lines.push(current);
+      current = null;
+    }
+  }
+
+  if (current) lines.push(current);
+
+  return lines
+    .map((line) => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter((line) => line.text);
+}
+
+/**
+ * Merge lines into headings and paragraphs
+ * Heading levels come from font size relative to the body text
+ * @param {Array} lines - Lines from groupIntoLines
+ * @returns {Array} Blocks { text, level } where level is 0 for paragraphs
+ */
+function buildBlocks(lines) {
+  if (lines.length === 0) return [];
+
+  const bodySize = mostCommonSize(lines);
+
+  // Larger sizes map to higher heading levels, starting at h2
+  const headingSizes = [...new Set(lines.map((line) => line.size))]
+    .filter((size) => size >= bodySize * HEADING_RATIO)
+    .sort((a, b) => b - a);
+
+  const levelFor = (line) => {
+    if (line.text.length > MAX_HEADING_LENGTH) return 0;
+    const index = headingSizes.indexOf(line.size);
+    return index === -1 ? 0 : Math.min(index + 2, 4);
+  };
+
+  const blocks = [];
+  let previous = null;
+
+  for (const line of lines) {
+    const level = levelFor(line);
+    const last = blocks[blocks.length - 1];
+
+    // Continue the block if the line has the same role and follows closely
+    const gap = previous ? previous.y - line.y : Infinity;
+    const continues = last &&
+      last.level === level &&
+      previous.size === line.size &&
+      gap > 0 &&
+      gap < line.size * 1.8;
+
+    if (continues) {
+      last.text = joinLines(last.text, line.text);
+    } else {
+      blocks.push({ text: line.text, level });
+    }
+
+    previous = line;
+  }
+
+  return blocks;
+}
+
+/**
+ * Find the font size used by the most characters
+ * @param {Array} lines
+ * @returns {number}
+ */
+function mostCommonSize(lines) {
+  const counts = new Map();
+  for (const line of lines) {
+    counts.set(line.size, (counts.get(line.size) || 0) + line.text.length);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Join two lines of a paragraph, undoing end-of-line hyphenation
+ * @param {string} first
+ * @param {string} second
+ * @returns {string}
+ */
+function joinLines(first, second) {
+  if (/[a-z]-$/.test(first) && /^[a-z]/.test(second)) {
+    return first.slice(0, -1) + second;
+  }
+  return `${first} ${second}`;
+}
+
+/**
+ * Parse a PDF date string (D:YYYYMMDDHHmmSS)
+ * @param {string} value
+ * @returns {string|null} ISO date string
+ */
+function parsePdfDate(value) {
+  const match = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/.exec(value || '');
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Derive a title from the PDF file name
+ * @param {string} url
+ * @returns {string}
+ */
+function titleFromUrl(url) {
+  try {
+    const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    return fileName.replace(/\.pdf$/i, '').replace(/[-_]+/g, ' ').trim() || 'Untitled';
+  } catch {
+    return 'Untitled';
+  }
+}
+
+/**
+ * Collapse whitespace in a metadata value
+ * @param {*} value
+ * @returns {string}
+ */
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Truncate text to a maximum length with an ellipsis
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length).trim()}…` : text;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  isPdf,
+  extractPdf
+};
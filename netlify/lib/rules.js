@@ -0,0 +1,247 @@
+/**
+ * ZenReader - Extraction Rules
+ * Per-domain fixes applied before or in place of Readability
+ *
+ * A rule is keyed by hostname and matches that host and its subdomains:
+ *   {
+ *     content: 'article .body',          // Use this element instead of Readability
+ *     remove: ['.related', '.promo'],    // Elements to strip before extraction
+ *     metadata: {                        // Selectors that override extracted metadata
+ *       title, author, subtitle, publishedTime
+ *     },
+ *     siteName: 'Example'                // Literal site name override
+ *   }
+ */
+
+// Removed on every site
+const GLOBAL_REMOVE = [
+  '#onetrust-consent-sdk',
+  '#CybotCookiebotDialog',
+  '#didomi-host',
+  '.qc-cmp2-container',
+  '.fc-consent-root',
+  '.cc-window',
+  '#cookie-banner',
+  '.cookie-banner',
+  '#cookie-notice',
+  '.cookie-notice',
+  '[aria-label="cookieconsent"]'
+];
+
+const BUILT_IN_RULES = {
+  'wikipedia.org': {
+    content: '#mw-content-text .mw-parser-output',
+    remove: ['.mw-editsection', '.navbox', '.hatnote', '.metadata', '#toc', '.toc', '.mw-empty-elt'],
+    siteName: 'Wikipedia'
+  },
+  'github.com': {
+    content: 'article.markdown-body',
+    siteName: 'GitHub'
+  },
+  'medium.com': {
+    remove: ['.pw-multi-vote-icon', '.pw-responses-count', '[data-testid="headerSocialShareButton"]'],
+    metadata: {
+      subtitle: '.pw-subtitle-paragraph',
+      author: '[data-testid="authorName"]'
+    }
+  },
+  'nytimes.com': {
+    remove: ['[data-testid="inline-message"]', '#standalone-footer', '[data-testid="recirc-unit"]'],
+    metadata: {
+      subtitle: '#article-summary'
+    }
+  },
+  'theguardian.com': {
+    remove: ['[data-component="rich-link"]', 'aside[data-gu-name="onwards"]', '[data-gu-name="most-viewed"]'],
+    metadata: {
+      subtitle: '[data-gu-name="standfirst"]'
+    },
+    siteName: 'The Guardian'
+  }
+};
+
+// Limits for rules sent by clients
+const MAX_USER_RULES = 100;
+const MAX_SELECTORS = 50;
+const MAX_SELECTOR_LENGTH = 300;
+const METADATA_FIELDS = ['title', 'author', 'subtitle', 'publishedTime'];
+
+/**
+ * Validate rules sent by the client, dropping anything malformed
+ * @param {*} input - Raw rules object from the request body
+ * @returns {Object} Rules keyed by lowercase hostname
+ */
+function normalizeRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return {};
+
+  const rules = {};
+  for (const [host, rule] of Object.entries(input).slice(0, MAX_USER_RULES)) {
+    const key = host.trim().toLowerCase().replace(/^\*\./, '').replace(/^www\./, '');
+    if (!key || !rule || typeof rule !== 'object') continue;
+
+    const normalized = {};
+
+    if (isSelector(rule.content)) {
+      normalized.content = rule.content;
+    }
+
+    if (Array.isArray(rule.remove)) {
+      normalized.remove = rule.remove.filter(isSelector).slice(0, MAX_SELECTORS);
+    }
+
+    if (rule.metadata && typeof rule.metadata === 'object') {
+      normalized.metadata = {};
+      METADATA_FIELDS.forEach((field) => {
+        if (isSelector(rule.metadata[field])) {
+          normalized.metadata[field] = rule.metadata[field];
+        }
+      });
+    }
+
+    if (typeof rule.siteName === 'string' && rule.siteName.trim()) {
+      normalized.siteName = rule.siteName.trim().slice(0, 100);
+    }
+
+    rules[key] = normalized;
+  }
+
+  return rules;
+}
+
+/**
+ * Find the rule for a hostname, combining built-in and user rules
+ * User rules take precedence over built-in ones for the same domain
+ * @param {string} hostname - Page hostname
+ * @param {Object} userRules - Normalized user rules
+ * @returns {Object} Rule (always has a remove list)
+ */
+function resolveRule(hostname, userRules = {}) {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  const builtIn = findByHost(BUILT_IN_RULES, host) || {};
+  const user = findByHost(userRules, host) || {};
+
+  return {
+    ...builtIn,
+    ...user,
+    metadata: { ...builtIn.metadata, ...user.metadata },
+    remove: [...GLOBAL_REMOVE, ...(builtIn.remove || []), ...(user.remove || [])]
+  };
+}
+
+/**
+ * Look up a rule by host, falling back to parent domains
+ * @param {Object} rules - Rules keyed by hostname
+ * @param {string} host - Hostname without www.
+ * @returns {Object|undefined}
+ */
+function findByHost(rules, host) {
+  const parts = host.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (Object.prototype.hasOwnProperty.call(rules, candidate)) {
+      return rules[candidate];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Read metadata overrides from the page
+ * Must run before Readability, which removes most of the page
+ * @param {Document} document - Parsed page
+ * @param {Object} rule - Resolved rule
+ * @returns {Object} Overrides { title, author, subtitle, publishedTime, siteName }
+ */
+function readMetadata(document, rule) {
+  const overrides = {};
+
+  Object.entries(rule.metadata || {}).forEach(([field, selector]) => {
+    const element = safeQuery(document, selector);
+    if (!element) return;
+
+    const value = element.getAttribute('content') ||
+      element.getAttribute('datetime') ||
+      element.textContent;
+    const text = value.replace(/\s+/g, ' ').trim();
+    if (text) overrides[field] = text;
+  });
+
+  if (rule.siteName) overrides.siteName = rule.siteName;
+
+  return overrides;
+}
+
+/**
+ * Strip the rule's unwanted elements from the page
+ * @param {Document} document - Parsed page
+ * @param {Object} rule - Resolved rule
+ */
+function removeElements(document, rule) {
+  (rule.remove || []).forEach((selector) => {
+    try {
+      document.querySelectorAll(selector).forEach((element) => element.remove());
+    } catch {
+      // Invalid selector in a user rule; skip it
+    }
+  });
+}
+
+/**
+ * Extract the article from the rule's content selector
+ * @param {Document} document - Parsed page
+ * @param {Object} rule - Resolved rule
+ * @returns {Object|null} Readability-shaped result, or null to fall back to Readability
+ */
+function extractContent(document, rule) {
+  if (!rule.content) return null;
+
+  const element = safeQuery(document, rule.content);
+  if (!element || !element.textContent.trim()) return null;
+
+  // Drop scripts and styles that Readability would normally clean up
+  element.querySelectorAll('script, style, noscript, iframe, form').forEach((node) => node.remove());
+
+  const textContent = element.textContent.replace(/\s+\n/g, '\n').trim();
+  const firstParagraph = element.querySelector('p');
+
+  return {
+    title: document.title || '',
+    byline: null,
+    siteName: null,
+    content: element.innerHTML,
+    textContent,
+    excerpt: firstParagraph ? firstParagraph.textContent.trim() : '',
+    length: textContent.length
+  };
+}
+
+/**
+ * querySelector that tolerates invalid selectors
+ * @param {Document} document
+ * @param {string} selector
+ * @returns {Element|null}
+ */
+function safeQuery(document, selector) {
+  try {
+    return document.querySelector(selector);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that a value is a usable selector string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSelector(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_SELECTOR_LENGTH;
+}
+
+module.exports = {
+  normalizeRules,
+  resolveRule,
+  readMetadata,
+  removeElements,
+  extractContent
+};
@@ -0,0 +1,238 @@
+/**
+ * ZenReader - Safe Fetch
+ * Fetches remote pages while refusing private, loopback and link-local targets
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { ExtractError } = require('./errors');
+
+// Limits
+const MAX_REDIRECTS = 5;
+const MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+const FETCH_TIMEOUT = 10000;       // ms, covers every redirect hop and the body
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; ZenReader/1.0; +https://zenreader.app)',
+  'Accept': 'text/html,application/xhtml+xml,application/pdf,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5'
+};
+
+// Address ranges the function must never connect to
+const blockedRanges = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],         // "This" network
+  ['10.0.0.0', 8],        // Private
+  ['100.64.0.0', 10],     // Carrier-grade NAT
+  ['127.0.0.0', 8],       // Loopback
+  ['169.254.0.0', 16],    // Link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12],     // Private
+  ['192.0.0.0', 24],      // IETF protocol assignments
+  ['192.0.2.0', 24],      // Documentation
+  ['192.168.0.0', 16],    // Private
+  ['198.18.0.0', 15],     // Benchmarking
+  ['198.51.100.0', 24],   // Documentation
+  ['203.0.113.0', 24],    // Documentation
+  ['224.0.0.0', 4],       // Multicast
+  ['240.0.0.0', 4]        // Reserved and broadcast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128],            // Unspecified
+  ['::1', 128],           // Loopback
+  ['64:ff9b::', 96],      // NAT64
+  ['100::', 64],          // Discard
+  ['2001:db8::', 32],     // Documentation
+  ['fc00::', 7],          // Unique local
+  ['fe80::', 10],         // Link-local
+  ['ff00::', 8]           // Multicast
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is in a blocked range
+ * IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+ * @param {string} address - IP address
+ * @returns {boolean} Whether the address must be refused
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup that refuses blocked addresses
+ * Used by the HTTP agents so the address actually connected to is checked,
+ * not just the one seen before the request (guards against DNS rebinding)
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new ExtractError(
+        'BLOCKED_HOST',
+        `Refusing to fetch ${hostname}: it resolves to a private or reserved address`
+      ));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Validate a URL and make sure its host resolves only to public addresses
+ * @param {string} url - URL to check
+ * @returns {Promise<URL>} The parsed URL
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ExtractError('INVALID_URL', 'Invalid URL format');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ExtractError('INVALID_URL', 'Only http and https URLs are supported');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new ExtractError('INVALID_URL', 'URLs with credentials are not supported');
+  }
+
+  // Strip the brackets around IPv6 literals
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      throw new ExtractError('DNS_FAILURE', `Could not resolve host ${hostname}`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some((entry) => isBlockedAddress(entry.address))) {
+    throw new ExtractError(
+      'BLOCKED_HOST',
+      `Refusing to fetch ${hostname}: it resolves to a private or reserved address`
+    );
+  }
+
+  return parsed;
+}
+
+/**
+ * Fetch a URL, validating the target on the first request and every redirect hop
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Optional limits { maxRedirects, maxBytes, timeout, headers }
+ * @returns {Promise<Object>} { response, url, buffer } where url is the final URL
+ */
+async function safeFetch(url, options = {}) {
+  const maxRedirects = options.maxRedirects ?? MAX_REDIRECTS;
+  const maxBytes = options.maxBytes ?? MAX_BYTES;
+  const timeout = options.timeout ?? FETCH_TIMEOUT;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    let currentUrl = url;
+
+    for (let hop = 0; ; hop++) {
+      const parsed = await assertPublicUrl(currentUrl);
+
+      const response = await fetch(parsed.href, {
+        headers: { ...DEFAULT_HEADERS, ...options.headers },
+        redirect: 'manual',
+        agent: parsed.protocol === 'https:' ? httpsAgent : httpAgent,
+        signal: controller.signal,
+        size: maxBytes,
+        compress: true
+      });
+
+      // Follow redirects by hand so each hop is checked
+      if (response.status >= 300 && response.status < 400 && response.headers.has('location')) {
+        if (hop >= maxRedirects) {
+          throw new ExtractError(
+            'TOO_MANY_REDIRECTS',
+            `Too many redirects (more than ${maxRedirects})`
+          );
+        }
+        currentUrl = new URL(response.headers.get('location'), parsed.href).href;
+        continue;
+      }
+
+      const declaredLength = parseInt(response.headers.get('content-length'), 10);
+      if (declaredLength > maxBytes) {
+        throw new ExtractError(
+          'TOO_LARGE',
+          `Page is too large (over ${Math.round(maxBytes / 1024 / 1024)} MB)`
+        );
+      }
+
+      const buffer = await response.buffer();
+
+      return { response, url: parsed.href, buffer };
+    }
+  } catch (error) {
+    throw toFetchError(error, maxBytes);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Map node-fetch and network failures onto extraction errors
+ * @param {Error} error - Original error
+ * @param {number} maxBytes - Size limit in effect
+ * @returns {ExtractError|Error}
+ */
+function toFetchError(error, maxBytes) {
+  if (error instanceof ExtractError) return error;
+
+  // Errors raised by guardedLookup surface wrapped by node-fetch
+  if (error.code === 'BLOCKED_HOST' || error.errno === 'BLOCKED_HOST') {
+    return new ExtractError('BLOCKED_HOST', 'Refusing to fetch a private or reserved address');
+  }
+
+  if (error.name === 'AbortError') {
+    return new ExtractError('TIMEOUT', 'The page took too long to respond');
+  }
+
+  if (error.type === 'max-size') {
+    return new ExtractError(
+      'TOO_LARGE',
+      `Page is too large (over ${Math.round(maxBytes / 1024 / 1024)} MB)`
+    );
+  }
+
+  if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+    return new ExtractError('DNS_FAILURE', 'Could not resolve the host');
+  }
+
+  // Connection refused or reset, TLS failures and other socket errors
+  if (error.type === 'system') {
+    return new ExtractError('NETWORK_ERROR', `Could not connect to the site (${error.code || 'network error'})`);
+  }
+
+  return error;
+}
+
+module.exports = {
+  safeFetch,
+  assertPublicUrl,
+  isBlockedAddress
+};
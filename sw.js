@@ -3,7 +3,7 @@
  * Handles offline caching and share target requests
  */
 
-const CACHE_NAME = 'zenreader-v5';
+const CACHE_NAME = 'zenreader-v25';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -15,6 +15,18 @@ const STATIC_ASSETS = [
   '/js/ui.js',
   '/js/markdown.js',
   '/js/gestures.js',
+  '/js/images.js',
+  '/js/search.js',
+  '/js/highlights.js',
+  '/js/export.js',
+  '/js/position.js',
+  '/js/sanitize.js',
+  '/js/syntax.js',
+  '/js/toc.js',
+  '/js/speech.js',
+  '/js/pages.js',
+  '/js/autoscroll.js',
+  '/js/rsvp.js',
   '/js/components/article-card.js',
   '/icons/icon.svg',
   '/icons/icon-192.png',
@@ -113,8 +125,8 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Default: network only
-  event.respondWith(fetch(event.request));
+  // Anything else cross-origin (remote article and card images) is left to the
+  // browser. Fetching it here would check it against connect-src instead of img-src.
 });
 
 // Handle messages from the app